@@ -1,135 +1,24 @@
-// Check for Gathr Statements Custom Object Schema
-// This verifies the custom object exists during installation (does not create it)
+// Gathr Statements Custom Object Schema
+// Checks the custom object exists during installation, creates/completes it on demand (see provision-schema.js),
+// and upgrades portals through the numbered schema versions (see upgrade-schemas.js)
 
-const fetch = require('node-fetch');
-const { getTokens, needsRefresh, saveTokens } = require('./token-store');
+const { saveSchemaVersion, getCachedValue, setCachedValue, deleteCachedValue } = require('./token-store');
+const logger = require('./logger');
 
-// Get the current access token (with auto-refresh)
-// MULTI-TENANT: Requires hub_id to retrieve the correct portal's tokens
-const getAccessToken = async (hub_id) => {
-  console.log('[SCHEMA AUTH] Getting access token for portal:', hub_id);
-
-  try {
-    const tokens = await getTokens(hub_id);
-
-    if (tokens && tokens.accessToken) {
-      console.log('   [OK] Found tokens in storage for portal:', hub_id);
-
-      // Check if token needs refresh
-      if (needsRefresh(tokens)) {
-        console.log('   [REFRESH] Token expired or expiring soon, refreshing...');
-        const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken);
-        return newTokens.accessToken;
-      }
-
-      return tokens.accessToken;
-    }
-  } catch (error) {
-    console.log('   [WARN] Error accessing token storage:', error.message);
-  }
-
-  // Fallback to environment variables (single-tenant dev/test only)
-  if (process.env.HUBSPOT_ACCESS_TOKEN) {
-    console.log('   [OK] Falling back to environment variable (single-tenant mode)');
-    return process.env.HUBSPOT_ACCESS_TOKEN;
-  }
-
-  console.log('   [ERROR] No access token found for portal:', hub_id);
-  return null;
+// Object type IDs of the standard objects in associatedObjects
+const ASSOCIATED_OBJECT_TYPE_IDS = {
+  CONTACT: '0-1',
+  COMPANY: '0-2'
 };
 
-// Refresh token helper
-// MULTI-TENANT: Requires hub_id to save the refreshed tokens for the correct portal
-const refreshAccessToken = async (hub_id, refreshToken) => {
-  console.log('[SCHEMA REFRESH] Refreshing access token for portal:', hub_id);
-
-  const CLIENT_ID = process.env.CLIENT_ID;
-  const CLIENT_SECRET = process.env.CLIENT_SECRET;
-
-  const tokenToUse = refreshToken || process.env.HUBSPOT_REFRESH_TOKEN;
-
-  if (!tokenToUse) {
-    throw new Error('No refresh token available');
-  }
-
-  if (!CLIENT_ID || !CLIENT_SECRET) {
-    throw new Error('Missing CLIENT_ID or CLIENT_SECRET environment variables');
-  }
-
-  const response = await fetch('https://api.hubapi.com/oauth/v1/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      grant_type: 'refresh_token',
-      client_id: CLIENT_ID,
-      client_secret: CLIENT_SECRET,
-      refresh_token: tokenToUse
-    }).toString()
-  });
-
-  const tokens = await response.json();
-
-  if (!response.ok) {
-    console.error('[ERROR] Token refresh failed:', tokens);
-    throw new Error(`Failed to refresh token: ${tokens.message || response.statusText}`);
-  }
-
-  // CRITICAL: Validate that the refreshed token belongs to the requested portal
-  const actualHubId = tokens.hub_id ? tokens.hub_id.toString() : null;
-  const requestedHubId = hub_id ? hub_id.toString() : null;
-
-  if (actualHubId && requestedHubId && actualHubId !== requestedHubId) {
-    console.error('[ERROR] Token hub_id mismatch!');
-    console.error('   Requested portal:', requestedHubId);
-    console.error('   Token belongs to:', actualHubId);
-    throw new Error(
-      `Token mismatch: Your cached/env tokens belong to portal ${actualHubId}, but you're trying to access portal ${requestedHubId}. ` +
-      `Please complete OAuth installation for portal ${requestedHubId}.`
-    );
-  }
-
-  console.log('[OK] Token refreshed successfully for portal:', actualHubId || hub_id);
-
-  const newTokenData = {
-    hub_id: actualHubId || hub_id,
-    accessToken: tokens.access_token,
-    refreshToken: tokens.refresh_token || tokenToUse,
-    expiresAt: Date.now() + (tokens.expires_in * 1000)
-  };
-
-  try {
-    await saveTokens(actualHubId || hub_id, newTokenData);
-    console.log('   [OK] New tokens saved to storage for portal:', actualHubId || hub_id);
-  } catch (error) {
-    console.error('   [WARN] Failed to save refreshed tokens:', error.message);
-  }
-
-  return newTokenData;
-};
-
-/**
- * Creates the Gathr Statements custom object schema in HubSpot
- * @param {string} hub_id - Portal ID
- * @param {string} region - HubSpot API region (default: api.hubapi.com)
- * @returns {Promise<Object>} The created schema object
- */
-const createGathrStatementsSchema = async (hub_id, region = 'https://api.hubapi.com') => {
-  console.log('[SCHEMA] Creating Gathr Statements custom object for portal:', hub_id);
-
-  // Get access token for this portal
-  const accessToken = await getAccessToken(hub_id);
-  if (!accessToken) {
-    throw new Error('No access token available for portal: ' + hub_id);
-  }
-  const schemaDefinition = {
-    name: "gathr_statements",
-    labels: {
-      singular: "Gathr Statement",
-      plural: "Gathr Statements"
-    },
-    primaryDisplayProperty: "statement_id",
-    requiredProperties: ["statement_id"],
-    searchableProperties: ["statement_id", "account_number", "gathr_statement_id"],
+// Gathr Statements schema versions - each version lists what it adds to the object
+// Versions are applied in order and only ever add properties/associations (see migrateGathrStatementsSchema).
+// To change the schema, append a new version; never edit a released one - portals that already
+// have it won't pick up the change.
+const SCHEMA_VERSIONS = [
+  {
+    version: 1,
+    description: 'Gathr Statements object with statement, account and Gathr ID properties',
     properties: [
       {
         name: "statement_id",
@@ -179,33 +68,56 @@ const createGathrStatementsSchema = async (hub_id, region = 'https://api.hubapi.
         description: "Gathr API statement ID(s) - semicolon-separated for multiple statements",
         hasUniqueValue: false
       }
-
     ],
     associatedObjects: ["CONTACT", "COMPANY"]
-  };
+  }
+];
+
+// How long a portal's Gathr Statements objectTypeId is cached (it only changes if the object is recreated)
+const OBJECT_TYPE_ID_CACHE_TTL_MS = parseInt(process.env.OBJECT_TYPE_ID_CACHE_TTL_MS || String(24 * 60 * 60 * 1000));
+
+const LATEST_SCHEMA_VERSION = SCHEMA_VERSIONS[SCHEMA_VERSIONS.length - 1].version;
+
+// Canonical definition of the Gathr Statements custom object (all versions applied)
+const GATHR_STATEMENTS_SCHEMA = {
+  name: "gathr_statements",
+  labels: {
+    singular: "Gathr Statement",
+    plural: "Gathr Statements"
+  },
+  primaryDisplayProperty: "statement_id",
+  requiredProperties: ["statement_id"],
+  searchableProperties: ["statement_id", "account_number", "gathr_statement_id"],
+  properties: SCHEMA_VERSIONS.flatMap(v => v.properties || []),
+  associatedObjects: SCHEMA_VERSIONS.flatMap(v => v.associatedObjects || [])
+};
 
-  console.log('[SCHEMA] Schema definition prepared:', {
-    name: schemaDefinition.name,
-    propertyCount: schemaDefinition.properties.length,
-    associations: schemaDefinition.associatedObjects
+/**
+ * Creates the Gathr Statements custom object schema in HubSpot
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @returns {Promise<Object>} The created schema object
+ */
+const createGathrStatementsSchema = async (client) => {
+  logger.log('[SCHEMA] Creating Gathr Statements custom object for portal:', client.hub_id);
+
+  logger.log('[SCHEMA] Schema definition prepared:', {
+    name: GATHR_STATEMENTS_SCHEMA.name,
+    propertyCount: GATHR_STATEMENTS_SCHEMA.properties.length,
+    associations: GATHR_STATEMENTS_SCHEMA.associatedObjects
   });
 
-  const response = await fetch(`${region}/crm/v3/schemas`, {
+  const response = await client.request('/crm/v3/schemas', {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(schemaDefinition)
+    body: GATHR_STATEMENTS_SCHEMA
   });
 
-  const responseBody = await response.json();
+  const responseBody = response.body;
 
   if (!response.ok) {
     // If schema already exists, that's okay - just return the error info
     if (response.status === 409) {
-      console.log('[SCHEMA] Schema already exists (409 conflict) - this is okay');
-      console.log('   Existing schema:', responseBody);
+      logger.log('[SCHEMA] Schema already exists (409 conflict) - this is okay');
+      logger.log('   Existing schema:', responseBody);
       return {
         exists: true,
         schema: responseBody,
@@ -215,9 +127,9 @@ const createGathrStatementsSchema = async (hub_id, region = 'https://api.hubapi.
 
     // Check for missing scopes error
     if (response.status === 403 && responseBody.category === 'MISSING_SCOPES') {
-      console.error('[SCHEMA] Missing required scopes for schema creation');
-      console.error('   Required scopes: crm.schemas.custom.write, crm.schemas.custom.read');
-      console.error('   Error:', responseBody.message);
+      logger.error('[SCHEMA] Missing required scopes for schema creation');
+      logger.error('   Required scopes: crm.schemas.custom.write, crm.schemas.custom.read');
+      logger.error('   Error:', responseBody.message);
 
       throw new Error(
         'Missing required OAuth scopes. Please reinstall the app with the following scopes: ' +
@@ -225,7 +137,7 @@ const createGathrStatementsSchema = async (hub_id, region = 'https://api.hubapi.
       );
     }
 
-    console.error('[SCHEMA] Failed to create schema:', {
+    logger.error('[SCHEMA] Failed to create schema:', {
       status: response.status,
       error: responseBody
     });
@@ -233,7 +145,7 @@ const createGathrStatementsSchema = async (hub_id, region = 'https://api.hubapi.
     throw new Error(`Failed to create schema: ${responseBody.message || response.statusText}`);
   }
 
-  console.log('[SCHEMA] Successfully created custom object:', {
+  logger.log('[SCHEMA] Successfully created custom object:', {
     objectTypeId: responseBody.objectTypeId,
     name: responseBody.name,
     fullyQualifiedName: responseBody.fullyQualifiedName
@@ -248,78 +160,68 @@ const createGathrStatementsSchema = async (hub_id, region = 'https://api.hubapi.
 
 /**
  * Gets existing schema if it already exists
- * @param {string} hub_id - Portal ID
- * @param {string} region - HubSpot API region
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
  * @returns {Promise<Object|null>} Existing schema or null
  */
-const getExistingSchema = async (hub_id, region = 'https://api.hubapi.com') => {
-  console.log('[SCHEMA] Checking for existing Gathr Statements schema for portal:', hub_id);
-
-  // Get access token for this portal
-  const accessToken = await getAccessToken(hub_id);
-  if (!accessToken) {
-    console.error('[SCHEMA] No access token available for portal:', hub_id);
-    return null;
-  }
+const getExistingSchema = async (client) => {
+  logger.log('[SCHEMA] Checking for existing Gathr Statements schema for portal:', client.hub_id);
 
   try {
-    const response = await fetch(`${region}/crm/v3/schemas`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const response = await client.request('/crm/v3/schemas', { method: 'GET' });
 
     if (!response.ok) {
-      console.error('[SCHEMA] Failed to fetch schemas:', response.status);
+      logger.error('[SCHEMA] Failed to fetch schemas:', response.status);
       return null;
     }
 
-    const data = await response.json();
+    const data = response.body;
     const existingSchema = data.results?.find(s =>
       s.name === 'gathr_statements' ||
       s.labels?.singular === 'Gathr Statement'
     );
 
     if (existingSchema) {
-      console.log('[SCHEMA] Found existing schema:', {
+      logger.log('[SCHEMA] Found existing schema:', {
         objectTypeId: existingSchema.objectTypeId,
         name: existingSchema.name
       });
       return existingSchema;
     }
 
-    console.log('[SCHEMA] No existing schema found');
+    logger.log('[SCHEMA] No existing schema found');
     return null;
   } catch (error) {
-    console.error('[SCHEMA] Error checking for existing schema:', error.message);
+    logger.error('[SCHEMA] Error checking for existing schema:', error.message);
     return null;
   }
 };
 
 /**
- * Checks if the Gathr Statements schema exists - does NOT create it
- * @param {string} hub_id - Portal ID
- * @param {string} region - HubSpot API region
- * @returns {Promise<Object>} Schema info with objectTypeId or warning if not found
+ * Checks if the Gathr Statements schema exists, and how it differs from the canonical definition - does NOT change it
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @returns {Promise<Object>} Schema info with objectTypeId and diff, or warning if not found
  */
-const ensureGathrStatementsSchema = async (hub_id, region = 'https://api.hubapi.com') => {
+const ensureGathrStatementsSchema = async (client) => {
   // Check if schema already exists
-  const existingSchema = await getExistingSchema(hub_id, region);
+  const existingSchema = await getExistingSchema(client);
 
   if (existingSchema) {
-    console.log('[SCHEMA] Found existing gathr_statements schema');
+    const diff = diffGathrStatementsSchema(existingSchema);
+    logger.log('[SCHEMA] Found existing gathr_statements schema');
+    if (!diff.inSync) {
+      logger.log('[WARN] Gathr Statements schema differs from the canonical definition:', diff);
+    }
     return {
       exists: true,
       schema: existingSchema,
-      objectTypeId: existingSchema.objectTypeId
+      objectTypeId: existingSchema.objectTypeId,
+      diff
     };
   }
 
   // Schema not found - return warning
-  console.log('[SCHEMA] WARNING: gathr_statements schema not found');
-  console.log('[SCHEMA] Customer needs to manually create the schema before using the app');
+  logger.log('[SCHEMA] WARNING: gathr_statements schema not found');
+  logger.log('[SCHEMA] Customer needs to manually create the schema before using the app');
   return {
     exists: false,
     warning: 'gathr_statements custom object not found',
@@ -327,20 +229,312 @@ const ensureGathrStatementsSchema = async (hub_id, region = 'https://api.hubapi.
   };
 };
 
+// Cache entry name - the objectTypeId is per portal and region
+const objectTypeIdCacheName = (client) => `objectTypeId:${client.region}`;
+
 /**
  * Gets the object type ID for the Gathr Statements schema
- * @param {string} hub_id - Portal ID
- * @param {string} region - HubSpot API region
+ * Cached per portal and region (OBJECT_TYPE_ID_CACHE_TTL_MS) so writes don't list every schema first
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
  * @returns {Promise<string|null>} Object type ID or null if not found
  */
-const getGathrStatementsObjectTypeId = async (hub_id, region = 'https://api.hubapi.com') => {
-  const schema = await getExistingSchema(hub_id, region);
-  return schema ? schema.objectTypeId : null;
+const getGathrStatementsObjectTypeId = async (client) => {
+  const cached = await getCachedValue(client.hub_id, objectTypeIdCacheName(client));
+  if (cached) {
+    logger.log('[SCHEMA] Using cached objectTypeId for portal:', client.hub_id, cached);
+    return cached;
+  }
+
+  const schema = await getExistingSchema(client);
+  if (!schema) {
+    return null;
+  }
+
+  await setCachedValue(client.hub_id, objectTypeIdCacheName(client), schema.objectTypeId, OBJECT_TYPE_ID_CACHE_TTL_MS);
+  return schema.objectTypeId;
+};
+
+/**
+ * Forgets the cached object type ID - call when HubSpot returns 404 for it (e.g. the object was recreated)
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ */
+const invalidateGathrStatementsObjectTypeId = async (client) => {
+  logger.log('[SCHEMA] Invalidating cached objectTypeId for portal:', client.hub_id);
+  await deleteCachedValue(client.hub_id, objectTypeIdCacheName(client));
+};
+
+// Property group new properties go into (custom objects get a default "<name>_information" group)
+const getDefaultPropertyGroup = async (client, objectTypeId) => {
+  const response = await client.request(`/crm/v3/properties/${objectTypeId}/groups`, { method: 'GET' });
+
+  if (!response.ok || !response.body.results || response.body.results.length === 0) {
+    throw new Error(`Failed to fetch property groups: ${(response.body && response.body.message) || response.statusText}`);
+  }
+
+  return response.body.results[0].name;
+};
+
+/**
+ * Adds a property from the canonical definition to an existing Gathr Statements object
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} objectTypeId - Object type ID of the Gathr Statements object
+ * @param {Object} property - Property from GATHR_STATEMENTS_SCHEMA.properties
+ * @param {string} groupName - Property group to create it in
+ * @returns {Promise<Object>} The created property
+ */
+const createSchemaProperty = async (client, objectTypeId, property, groupName) => {
+  const response = await client.request(`/crm/v3/properties/${objectTypeId}`, {
+    method: 'POST',
+    body: { ...property, groupName }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to create property ${property.name}: ${(response.body && response.body.message) || response.statusText}`);
+  }
+
+  logger.log('[SCHEMA] Created property:', property.name);
+  return response.body;
+};
+
+/**
+ * Compares a live Gathr Statements schema with the canonical definition
+ * @param {Object} schema - Schema from /crm/v3/schemas (see getExistingSchema)
+ * @returns {Object} { missingProperties, mistypedProperties, missingAssociations, inSync }
+ */
+const diffGathrStatementsSchema = (schema) => {
+  const liveProperties = new Map((schema.properties || []).map(p => [p.name, p]));
+
+  const missingProperties = [];
+  const mistypedProperties = [];
+
+  for (const property of GATHR_STATEMENTS_SCHEMA.properties) {
+    const live = liveProperties.get(property.name);
+
+    if (!live) {
+      missingProperties.push(property.name);
+    } else if (live.type !== property.type || live.fieldType !== property.fieldType) {
+      mistypedProperties.push({
+        name: property.name,
+        expected: { type: property.type, fieldType: property.fieldType },
+        actual: { type: live.type, fieldType: live.fieldType }
+      });
+    }
+  }
+
+  const associatedTypeIds = new Set((schema.associations || []).map(a => a.toObjectTypeId));
+  const missingAssociations = GATHR_STATEMENTS_SCHEMA.associatedObjects
+    .filter(objectType => !associatedTypeIds.has(ASSOCIATED_OBJECT_TYPE_IDS[objectType]));
+
+  return {
+    missingProperties,
+    mistypedProperties,
+    missingAssociations,
+    inSync: missingProperties.length === 0 && mistypedProperties.length === 0 && missingAssociations.length === 0
+  };
+};
+
+// Associates the Gathr Statements object with a standard object (e.g. CONTACT)
+const createSchemaAssociation = async (client, objectTypeId, objectType) => {
+  const response = await client.request(`/crm/v3/schemas/${objectTypeId}/associations`, {
+    method: 'POST',
+    body: {
+      fromObjectTypeId: objectTypeId,
+      toObjectTypeId: ASSOCIATED_OBJECT_TYPE_IDS[objectType]
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to associate with ${objectType}: ${(response.body && response.body.message) || response.statusText}`);
+  }
+
+  logger.log('[SCHEMA] Created association with:', objectType);
+  return response.body;
+};
+
+/**
+ * Applies the additive part of a schema diff: creates missing properties and associations
+ * Mistyped properties are left alone - changing a property's type can lose data, so they need a manual fix
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} objectTypeId - Object type ID of the Gathr Statements object
+ * @param {Object} diff - Result of diffGathrStatementsSchema()
+ * @returns {Promise<Object>} { addedProperties, failedProperties, addedAssociations, failedAssociations }
+ */
+const applySchemaMigrations = async (client, objectTypeId, diff) => {
+  const addedProperties = [];
+  const failedProperties = [];
+  const addedAssociations = [];
+  const failedAssociations = [];
+
+  if (diff.missingProperties.length > 0) {
+    logger.log('[SCHEMA] Missing properties:', diff.missingProperties);
+    const groupName = await getDefaultPropertyGroup(client, objectTypeId);
+
+    for (const name of diff.missingProperties) {
+      const property = GATHR_STATEMENTS_SCHEMA.properties.find(p => p.name === name);
+      try {
+        await createSchemaProperty(client, objectTypeId, property, groupName);
+        addedProperties.push(name);
+      } catch (error) {
+        logger.error('[SCHEMA]', error.message);
+        failedProperties.push({ name, error: error.message });
+      }
+    }
+  }
+
+  for (const objectType of diff.missingAssociations) {
+    try {
+      await createSchemaAssociation(client, objectTypeId, objectType);
+      addedAssociations.push(objectType);
+    } catch (error) {
+      logger.error('[SCHEMA]', error.message);
+      failedAssociations.push({ objectType, error: error.message });
+    }
+  }
+
+  if (diff.mistypedProperties.length > 0) {
+    logger.log('[WARN] Mistyped properties need a manual fix:', diff.mistypedProperties);
+  }
+
+  return { addedProperties, failedProperties, addedAssociations, failedAssociations };
+};
+
+// Record the portal's schema version - a storage failure must not fail the HubSpot changes already made
+const recordSchemaVersion = async (hub_id, version, objectTypeId) => {
+  try {
+    await saveSchemaVersion(hub_id, { version, objectTypeId });
+  } catch (error) {
+    logger.error('[SCHEMA] Failed to record schema version for portal:', hub_id, error.message);
+  }
+};
+
+/**
+ * Creates the Gathr Statements object if it is missing, otherwise applies additive migrations
+ * (missing properties and associations) to bring it in line with the canonical definition
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @returns {Promise<Object>} Report: { objectTypeId, created, addedProperties, failedProperties,
+ *   addedAssociations, failedAssociations, mistypedProperties, changed }
+ */
+const provisionGathrStatementsSchema = async (client) => {
+  logger.log('[SCHEMA] Provisioning Gathr Statements custom object for portal:', client.hub_id);
+
+  const existingSchema = await getExistingSchema(client);
+
+  if (!existingSchema) {
+    const result = await createGathrStatementsSchema(client);
+    if (result.created) {
+      await recordSchemaVersion(client.hub_id, LATEST_SCHEMA_VERSION, result.objectTypeId);
+    }
+    return {
+      objectTypeId: result.objectTypeId,
+      created: Boolean(result.created),
+      addedProperties: result.created ? GATHR_STATEMENTS_SCHEMA.properties.map(p => p.name) : [],
+      failedProperties: [],
+      addedAssociations: result.created ? [...GATHR_STATEMENTS_SCHEMA.associatedObjects] : [],
+      failedAssociations: [],
+      mistypedProperties: [],
+      changed: Boolean(result.created)
+    };
+  }
+
+  const { objectTypeId } = existingSchema;
+  const diff = diffGathrStatementsSchema(existingSchema);
+
+  if (diff.inSync) {
+    logger.log('[SCHEMA] Schema matches the canonical definition - nothing to change');
+  }
+
+  const migration = await applySchemaMigrations(client, objectTypeId, diff);
+
+  if (migration.failedProperties.length === 0 && migration.failedAssociations.length === 0) {
+    await recordSchemaVersion(client.hub_id, LATEST_SCHEMA_VERSION, objectTypeId);
+  }
+
+  return {
+    objectTypeId,
+    created: false,
+    ...migration,
+    mistypedProperties: diff.mistypedProperties,
+    changed: migration.addedProperties.length > 0 || migration.addedAssociations.length > 0
+  };
+};
+
+/**
+ * Upgrades a portal's Gathr Statements object from `fromVersion` to LATEST_SCHEMA_VERSION
+ * Each pending version's additions are applied in order (anything already present is skipped);
+ * the first version with a failure stops the upgrade, so the stored version is the last one fully applied
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {number} fromVersion - Version currently recorded for the portal (0 if unknown)
+ * @returns {Promise<Object>} { objectTypeId, fromVersion, toVersion, created, steps, mistypedProperties }
+ */
+const migrateGathrStatementsSchema = async (client, fromVersion = 0) => {
+  logger.log('[SCHEMA] Migrating Gathr Statements schema for portal:', client.hub_id, 'from version', fromVersion);
+
+  const existingSchema = await getExistingSchema(client);
+
+  if (!existingSchema) {
+    // Nothing to migrate - create the object at the latest version
+    const report = await provisionGathrStatementsSchema(client);
+    return {
+      objectTypeId: report.objectTypeId,
+      fromVersion,
+      toVersion: report.created ? LATEST_SCHEMA_VERSION : fromVersion,
+      created: report.created,
+      steps: [],
+      mistypedProperties: []
+    };
+  }
+
+  const { objectTypeId } = existingSchema;
+  const diff = diffGathrStatementsSchema(existingSchema);
+  const steps = [];
+  let toVersion = fromVersion;
+
+  for (const schemaVersion of SCHEMA_VERSIONS.filter(v => v.version > fromVersion)) {
+    const propertyNames = (schemaVersion.properties || []).map(p => p.name);
+    const associatedObjects = schemaVersion.associatedObjects || [];
+
+    const result = await applySchemaMigrations(client, objectTypeId, {
+      missingProperties: diff.missingProperties.filter(name => propertyNames.includes(name)),
+      mistypedProperties: [],
+      missingAssociations: diff.missingAssociations.filter(objectType => associatedObjects.includes(objectType))
+    });
+
+    steps.push({ version: schemaVersion.version, description: schemaVersion.description, ...result });
+
+    if (result.failedProperties.length > 0 || result.failedAssociations.length > 0) {
+      logger.error('[SCHEMA] Migration to version', schemaVersion.version, 'failed for portal:', client.hub_id);
+      break;
+    }
+
+    toVersion = schemaVersion.version;
+  }
+
+  if (toVersion !== fromVersion) {
+    await recordSchemaVersion(client.hub_id, toVersion, objectTypeId);
+  }
+
+  return {
+    objectTypeId,
+    fromVersion,
+    toVersion,
+    created: false,
+    steps,
+    mistypedProperties: diff.mistypedProperties
+  };
 };
 
 module.exports = {
+  SCHEMA_VERSIONS,
+  LATEST_SCHEMA_VERSION,
+  GATHR_STATEMENTS_SCHEMA,
   createGathrStatementsSchema,
   getExistingSchema,
   ensureGathrStatementsSchema,
-  getGathrStatementsObjectTypeId
+  getGathrStatementsObjectTypeId,
+  invalidateGathrStatementsObjectTypeId,
+  diffGathrStatementsSchema,
+  applySchemaMigrations,
+  provisionGathrStatementsSchema,
+  migrateGathrStatementsSchema,
+  recordSchemaVersion
 };
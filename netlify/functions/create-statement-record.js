@@ -1,168 +1,867 @@
 // Create and Associate HubSpot Statement Record
 // This endpoint creates a new statement record and associates it with a contact/company
+// Batch mode (statementIds array) creates and associates up to 100 records with one call each
+// The association label can be chosen (and is created if missing), and a statement can be
+// associated with more records than the source one (e.g. a contact and its company)
+// Other properties and the statement file (a HubSpot file ID) can be set when the record is created
+// Records that are created but can't be associated are deleted again, or queued for repair
+// (the client sends back the returned repairToken to retry the association)
 // Uses stored OAuth token from the proxy
 
-const fetch = require('node-fetch');
-const { getTokens, needsRefresh, saveTokens } = require('./token-store');
+const crypto = require('crypto');
+const { createHubSpotClient } = require('./hubspot-client');
+const { authenticateRequest } = require('./hubspot-signature');
+const { applyRateLimit } = require('./rate-limit');
+const { fetchFileMetadata } = require('./hubspot-files');
+const {
+  getCachedValue,
+  setCachedValue,
+  acquireIdempotencyLock,
+  releaseIdempotencyLock,
+  queueAssociationRepair,
+  getAssociationRepair,
+  deleteAssociationRepair
+} = require('./token-store');
+const { getGathrStatementsObjectTypeId, invalidateGathrStatementsObjectTypeId } = require('./create-schema');
+const logger = require('./logger');
+
+// HubSpot's batch APIs accept at most 100 inputs per call
+const MAX_BATCH_SIZE = 100;
+
+// Records one statement can be associated with besides the source record
+const MAX_EXTRA_ASSOCIATIONS = 10;
+
+// How long a successful create is replayed for the same idempotency key
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS || String(24 * 60 * 60 * 1000));
+
+// Set from statementId / fileId, never from the properties map
+const RESERVED_PROPERTIES = ['statement_id', 'statement'];
+
+// Checks the optional properties map sent with the statement(s)
+const propertiesError = (properties) => {
+  if (properties === undefined) {
+    return null;
+  }
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    return 'properties must be an object of property name -> value';
+  }
+
+  const reserved = Object.keys(properties).filter(name => RESERVED_PROPERTIES.includes(name));
+  if (reserved.length > 0) {
+    return `properties must not include ${reserved.join(', ')} - use statementId and fileId instead`;
+  }
+
+  const invalid = Object.keys(properties).filter(name => !['string', 'number', 'boolean'].includes(typeof properties[name]));
+  if (invalid.length > 0) {
+    return `properties values must be strings, numbers or booleans (invalid: ${invalid.join(', ')})`;
+  }
+
+  return null;
+};
+
+// Checks the optional associationLabel / associationTypeId of the request or of one `associations` entry
+const selectionError = ({ associationLabel, associationTypeId }, where) => {
+  if (associationLabel !== undefined && (typeof associationLabel !== 'string' || !associationLabel.trim())) {
+    return `${where}associationLabel must be a non-empty string`;
+  }
+  const validTypeId = (typeof associationTypeId === 'number' && Number.isInteger(associationTypeId) && associationTypeId > 0)
+    || (typeof associationTypeId === 'string' && /^[1-9]\d*$/.test(associationTypeId));
+  if (associationTypeId !== undefined && !validTypeId) {
+    return `${where}associationTypeId must be a positive integer`;
+  }
+  return null;
+};
+
+/**
+ * Builds the records a statement is associated with: the source record first, then `associations`
+ * @param {Object} body - Request body
+ * @returns {Object} { targets } or { error } when the association fields are invalid
+ */
+const resolveTargets = (body) => {
+  const { associations = [] } = body;
+
+  if (!Array.isArray(associations) || associations.length > MAX_EXTRA_ASSOCIATIONS) {
+    return { error: `associations must be an array of at most ${MAX_EXTRA_ASSOCIATIONS} { objectTypeId, recordId } entries` };
+  }
+
+  const error = selectionError(body, '')
+    || associations.map((entry, index) => (entry && entry.objectTypeId && entry.recordId
+      ? selectionError(entry, `associations[${index}].`)
+      : `associations[${index}] needs objectTypeId and recordId`)).find(Boolean);
+  if (error) {
+    return { error };
+  }
+
+  const target = (objectTypeId, recordId, { associationLabel, associationTypeId }) => ({
+    objectTypeId: String(objectTypeId),
+    recordId: String(recordId),
+    associationLabel,
+    associationTypeId
+  });
+
+  return {
+    targets: [
+      target(body.currentObjectTypeId, body.currentRecordId, body),
+      ...associations.map(entry => target(entry.objectTypeId, entry.recordId, entry))
+    ]
+  };
+};
+
+// Cache entry name for an idempotency key (hashed - keys are client-supplied and may be long)
+const idempotencyCacheName = (key) => `idempotency:${crypto.createHash('sha256').update(String(key)).digest('hex')}`;
+
+// A 404 from a call that uses the cached objectTypeId may mean the object was deleted or recreated - look it up again next time
+const dropStaleObjectTypeId = async (client, response) => {
+  if (response.status === 404) {
+    await invalidateGathrStatementsObjectTypeId(client);
+  }
+};
+
+// Lists the association types defined from one object type to another, or null if HubSpot refused
+const fetchAssociationLabels = async (client, fromObjectTypeId, toObjectTypeId) => {
+  const schemaResponse = await client.request(`/crm/v4/associations/${fromObjectTypeId}/${toObjectTypeId}/labels`, { method: 'GET' });
+
+  if (!schemaResponse.ok) {
+    await dropStaleObjectTypeId(client, schemaResponse);
+    logger.log('[WARN] Failed to fetch association schema:', schemaResponse.status, schemaResponse.body);
+    return null;
+  }
+
+  logger.log('[HUBSPOT] Association schema response:', schemaResponse.body);
+  return schemaResponse.body.results || [];
+};
 
-// Get the current access token (with auto-refresh)
-// MULTI-TENANT: Requires hub_id to retrieve the correct portal's tokens
-const getAccessToken = async (hub_id) => {
-  console.log('[AUTH] Getting access token for portal:', hub_id);
+const findLabel = (results, label) => results.find(a => a.label && a.label.trim().toLowerCase() === label.trim().toLowerCase());
+
+/**
+ * Creates a USER_DEFINED association label between two object types
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} fromObjectTypeId - Source object type (e.g. 0-1)
+ * @param {string} toObjectTypeId - Gathr Statements object type ID
+ * @param {string} label - Label to create (e.g. "Guarantor statement")
+ * @returns {Promise<Object|null>} The label's from -> to association type, or null if it couldn't be created
+ */
+const createAssociationLabel = async (client, fromObjectTypeId, toObjectTypeId, label) => {
+  logger.log('[HUBSPOT] Creating association label', label, 'between', fromObjectTypeId, 'and', toObjectTypeId);
+
+  const createResponse = await client.request(`/crm/v4/associations/${fromObjectTypeId}/${toObjectTypeId}/labels`, {
+    method: 'POST',
+    body: {
+      label: label.trim(),
+      name: label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+    }
+  });
+
+  // A concurrent request may have created it first - the labels are read again either way
+  if (!createResponse.ok) {
+    logger.log('[WARN] Failed to create association label:', createResponse.status, createResponse.body);
+  }
+
+  // HubSpot returns the type IDs for both directions - read the labels again to get the from -> to one
+  const results = await fetchAssociationLabels(client, fromObjectTypeId, toObjectTypeId);
+  return results ? findLabel(results, label) || null : null;
+};
+
+/**
+ * Finds the association type to use from a source object (contact/company) to Gathr Statements
+ * A requested typeId must already exist; a requested label is created (USER_DEFINED) if missing.
+ * Without either, prefers a label containing "primary", otherwise the first type HubSpot returns
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} fromObjectTypeId - Source object type (e.g. 0-1)
+ * @param {string} toObjectTypeId - Gathr Statements object type ID
+ * @param {Object} [selection] - { associationLabel, associationTypeId } requested by the client
+ * @returns {Promise<Object|null>} { associationCategory, associationTypeId }, or null if none was found
+ */
+const getAssociationType = async (client, fromObjectTypeId, toObjectTypeId, { associationLabel, associationTypeId } = {}) => {
+  logger.log('[HUBSPOT] Fetching association types between', fromObjectTypeId, 'and', toObjectTypeId);
 
   try {
-    const tokens = await getTokens(hub_id);
+    const results = await fetchAssociationLabels(client, fromObjectTypeId, toObjectTypeId);
+    if (!results) {
+      return null;
+    }
 
-    if (tokens && tokens.accessToken) {
-      console.log('   [OK] Found tokens in storage for portal:', hub_id);
+    let selected;
+    if (associationTypeId) {
+      selected = results.find(a => String(a.typeId) === String(associationTypeId));
+    } else if (associationLabel) {
+      selected = findLabel(results, associationLabel) || await createAssociationLabel(client, fromObjectTypeId, toObjectTypeId, associationLabel);
+    } else {
+      // Use the first primary association type
+      selected = results.find(a => a.label && a.label.toLowerCase().includes('primary')) || results[0];
+    }
+
+    if (!selected) {
+      logger.log('[WARN] No matching association type found:', { associationLabel, associationTypeId, available: results.length });
+      return null;
+    }
+
+    logger.log('[OK] Found association type:', {
+      typeId: selected.typeId,
+      category: selected.category || 'HUBSPOT_DEFINED',
+      label: selected.label
+    });
+
+    return {
+      associationCategory: selected.category || 'HUBSPOT_DEFINED',
+      associationTypeId: selected.typeId
+    };
+  } catch (error) {
+    logger.log('[WARN] Error fetching association schema:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Finds Gathr Statement records with the given statement_ids that are already associated with the source record
+ * Starts from the source record's associations (paged) and batch-reads their statement_id, so common
+ * statement_id values elsewhere in the portal can't push the source record's own match out of view
+ * Lookup failures are logged and treated as "none found" so creation can go ahead
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} objectTypeId - Gathr Statements object type ID
+ * @param {string[]} statementIds - statement_id values to look for
+ * @param {string} currentObjectTypeId - Source object type (e.g. 0-1)
+ * @param {string} currentRecordId - Source record ID
+ * @returns {Promise<Map<string, string>>} statement_id -> record ID
+ */
+const findExistingStatements = async (client, objectTypeId, statementIds, currentObjectTypeId, currentRecordId) => {
+  const existing = new Map();
+
+  try {
+    // Every Gathr Statement record already associated with the source record
+    const associatedIds = [];
+    let after;
+    do {
+      const associationsResponse = await client.request(
+        `/crm/v4/objects/${currentObjectTypeId}/${currentRecordId}/associations/${objectTypeId}?limit=500${after ? `&after=${encodeURIComponent(after)}` : ''}`,
+        { method: 'GET' }
+      );
 
-      // Check if token needs refresh
-      if (needsRefresh(tokens)) {
-        console.log('   [REFRESH] Token expired or expiring soon, refreshing...');
-        const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken);
-        return newTokens.accessToken;
+      if (!associationsResponse.ok) {
+        await dropStaleObjectTypeId(client, associationsResponse);
+        logger.log('[WARN] Association lookup failed - creating without duplicate check:', associationsResponse.status, associationsResponse.body);
+        return existing;
       }
 
-      return tokens.accessToken;
+      associatedIds.push(...(associationsResponse.body.results || []).map(a => String(a.toObjectId)));
+      const paging = associationsResponse.body.paging;
+      after = paging && paging.next ? paging.next.after : undefined;
+    } while (after);
+
+    // Read their statement_id, MAX_BATCH_SIZE records per call
+    for (let i = 0; i < associatedIds.length; i += MAX_BATCH_SIZE) {
+      const readResponse = await client.request(`/crm/v3/objects/${objectTypeId}/batch/read`, {
+        method: 'POST',
+        idempotent: true,
+        body: {
+          properties: ['statement_id'],
+          inputs: associatedIds.slice(i, i + MAX_BATCH_SIZE).map(id => ({ id }))
+        }
+      });
+
+      if (!readResponse.ok) {
+        await dropStaleObjectTypeId(client, readResponse);
+        logger.log('[WARN] Statement batch read failed - creating without duplicate check:', readResponse.status, readResponse.body);
+        return existing;
+      }
+
+      for (const record of readResponse.body.results || []) {
+        const id = record.properties && record.properties.statement_id;
+        if (statementIds.includes(id) && !existing.has(id)) {
+          existing.set(id, String(record.id));
+        }
+      }
     }
   } catch (error) {
-    console.log('   [WARN] Error accessing token storage:', error.message);
+    logger.log('[WARN] Error looking for existing statements - creating without duplicate check:', error.message);
   }
 
-  // Fallback to environment variables (single-tenant dev/test only)
-  if (process.env.HUBSPOT_ACCESS_TOKEN) {
-    console.log('   [OK] Falling back to environment variable (single-tenant mode)');
-    return process.env.HUBSPOT_ACCESS_TOKEN;
+  return existing;
+};
+
+// "association label \"Guarantor statement\"" / "association type 12" / "association type" for messages
+const describeSelection = ({ associationLabel, associationTypeId }) => {
+  if (associationTypeId) {
+    return `association type ${associationTypeId}`;
   }
+  return associationLabel ? `association label "${associationLabel}"` : 'association type';
+};
 
-  console.log('   [ERROR] No access token found for portal:', hub_id);
-  return null;
+/**
+ * Resolves the association type for every target record, before anything is created
+ * Targets that already carry an associationType (e.g. from a queued repair) are kept as they are
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} objectTypeId - Gathr Statements object type ID
+ * @param {Object[]} targets - [{ objectTypeId, recordId, associationLabel, associationTypeId }]
+ * @returns {Promise<Object>} { targets } with associationType set on each, or { error } -
+ *   { status, error, message, hint } for the first target whose type couldn't be found
+ */
+const resolveAssociationTypes = async (client, objectTypeId, targets) => {
+  const resolved = [];
+
+  for (const target of targets) {
+    // Fetch available association types between source object and custom object
+    const associationType = target.associationType || await getAssociationType(client, target.objectTypeId, objectTypeId, target);
+
+    // If we couldn't find the association type, return error
+    if (!associationType) {
+      logger.error('[ERROR] Could not determine association type');
+      const selected = target.associationLabel || target.associationTypeId;
+      // With no selection the object should always have a default type - the cached objectTypeId is likely stale
+      if (!selected) {
+        await invalidateGathrStatementsObjectTypeId(client);
+      }
+      return {
+        error: {
+          status: selected ? 400 : 500,
+          error: 'Association type not found',
+          message: `Could not find ${describeSelection(target)} between ${target.objectTypeId} and ${objectTypeId}`,
+          hint: selected
+            ? `List the available labels with GET /crm/v4/associations/${target.objectTypeId}/${objectTypeId}/labels`
+            : 'Please ensure the custom object schema defines associations with contacts/companies'
+        }
+      };
+    }
+
+    resolved.push({ ...target, associationType });
+  }
+
+  return { targets: resolved };
 };
 
-// Refresh token helper
-// MULTI-TENANT: Requires hub_id to save the refreshed tokens for the correct portal
-const refreshAccessToken = async (hub_id, refreshToken) => {
-  console.log('[REFRESH] Refreshing access token for portal:', hub_id);
+/**
+ * Associates a Gathr Statement record with each target record
+ * Stops at the first target that fails; associations already made are left for the caller to clean up
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} objectTypeId - Gathr Statements object type ID
+ * @param {string} recordId - Gathr Statement record ID
+ * @param {Object[]} targets - Targets with their associationType (see resolveAssociationTypes)
+ * @returns {Promise<Object>} { ok: true, associations } or { ok: false, status, error, message, details }
+ */
+const associateStatement = async (client, objectTypeId, recordId, targets) => {
+  const associations = [];
+
+  for (const target of targets) {
+    const { associationType } = target;
+
+    // Create the association
+    const associatePath = `/crm/v4/objects/${target.objectTypeId}/${target.recordId}/associations/${objectTypeId}/${recordId}`;
+
+    const associationPayload = [associationType];
+
+    logger.log('[HUBSPOT] Creating association:', {
+      url: `${client.region}${associatePath}`,
+      from: { objectTypeId: target.objectTypeId, objectId: target.recordId },
+      to: { objectTypeId, objectId: recordId },
+      payload: associationPayload
+    });
 
-  const CLIENT_ID = process.env.CLIENT_ID;
-  const CLIENT_SECRET = process.env.CLIENT_SECRET;
+    const associateResponse = await client.request(associatePath, {
+      method: 'PUT',
+      body: associationPayload
+    });
 
-  const tokenToUse = refreshToken || process.env.HUBSPOT_REFRESH_TOKEN;
+    logger.log('[HUBSPOT] Associate response:', {
+      status: associateResponse.status,
+      ok: associateResponse.ok
+    });
+
+    const associateResponseBody = associateResponse.body;
+
+    // Handle error responses
+    if (!associateResponse.ok) {
+      await dropStaleObjectTypeId(client, associateResponse);
+      logger.error('[ERROR] Failed to associate record:', {
+        status: associateResponse.status,
+        statusText: associateResponse.statusText,
+        responseBody: associateResponseBody
+      });
+
+      return {
+        ok: false,
+        status: associateResponse.status,
+        error: 'Failed to associate record',
+        message: associateResponseBody.message || associateResponse.statusText,
+        details: associateResponseBody
+      };
+    }
+
+    associations.push({ objectTypeId: target.objectTypeId, recordId: target.recordId, ...associationType });
+  }
+
+  return { ok: true, associations };
+};
+
+/**
+ * Compensates for records that were created but could not be associated with the source record
+ * Deletes them so no orphan is left invisible on the timeline; if the delete fails too, each
+ * association is queued and gets a repair token the client can send back to retry it
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} objectTypeId - Gathr Statements object type ID
+ * @param {Object[]} records - [{ recordId, statementId }]
+ * @param {Object[]} targets - Records they should have been associated with (see associateStatement)
+ * @returns {Promise<Map<string, Object>>} recordId -> { rolledBack, repairToken }
+ */
+const compensateUnassociated = async (client, objectTypeId, records, targets) => {
+  const ids = records.map(record => String(record.recordId));
+  let rolledBack = false;
+
+  try {
+    const response = ids.length === 1
+      ? await client.request(`/crm/v3/objects/${objectTypeId}/${ids[0]}`, { method: 'DELETE' })
+      : await client.request(`/crm/v3/objects/${objectTypeId}/batch/archive`, {
+        method: 'POST',
+        idempotent: true,
+        body: { inputs: ids.map(id => ({ id })) }
+      });
+
+    rolledBack = response.ok;
+    if (rolledBack) {
+      logger.log('[ROLLBACK] Deleted unassociated statement record(s):', ids);
+    } else {
+      logger.error('[ERROR] Failed to delete unassociated statement record(s):', { ids, status: response.status, responseBody: response.body });
+    }
+  } catch (error) {
+    logger.error('[ERROR] Error deleting unassociated statement record(s):', ids, error.message);
+  }
+
+  const outcomes = new Map();
+  for (const record of records) {
+    const repairToken = rolledBack ? null : await queueAssociationRepair(client.hub_id, {
+      objectTypeId,
+      recordId: String(record.recordId),
+      statementId: record.statementId,
+      targets
+    });
+    outcomes.set(String(record.recordId), { rolledBack, repairToken });
+  }
+  return outcomes;
+};
+
+// Tells the client what happened to a record whose association failed
+const compensationNote = ({ rolledBack, repairToken }) => {
+  if (rolledBack) {
+    return 'Record was created but could not be associated, so it was deleted - retry the request';
+  }
+  if (repairToken) {
+    return 'Record was created but association failed - retry with { "repairToken": "..." } to associate it';
+  }
+  return 'Record was created but association failed, and it could not be deleted or queued for repair';
+};
+
+/**
+ * Retries the association of a record queued by compensateUnassociated()
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} repairToken - Token returned when the association failed
+ * @returns {Promise<Object>} { status, body } - body is the endpoint's JSON response
+ */
+const repairAssociation = async (client, repairToken) => {
+  const repair = await getAssociationRepair(client.hub_id, repairToken);
+
+  if (!repair) {
+    return {
+      status: 404,
+      body: { error: 'Unknown or expired repairToken' }
+    };
+  }
 
-  if (!tokenToUse) {
-    throw new Error('No refresh token available');
+  // Repairs queued before multi-record associations only have the source record
+  const targets = repair.targets || [{ objectTypeId: repair.currentObjectTypeId, recordId: repair.currentRecordId }];
+
+  logger.log('[REPAIR] Retrying association for statement record:', repair.recordId);
+  const resolution = await resolveAssociationTypes(client, repair.objectTypeId, targets);
+  const association = resolution.error
+    ? { ok: false, ...resolution.error }
+    : await associateStatement(client, repair.objectTypeId, repair.recordId, resolution.targets);
+
+  if (!association.ok) {
+    return {
+      status: association.status,
+      body: {
+        error: association.error,
+        status: association.status,
+        message: association.message,
+        hint: association.hint,
+        details: association.details,
+        createdRecordId: repair.recordId,
+        repairToken,
+        note: 'Association failed again - the repair is still queued'
+      }
+    };
+  }
+
+  await deleteAssociationRepair(client.hub_id, repairToken);
+  logger.log('[OK] Statement record associated on repair:', repair.recordId);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      recordId: repair.recordId,
+      statementId: repair.statementId,
+      associations: association.associations,
+      repaired: true,
+      message: 'Statement record associated successfully'
+    }
+  };
+};
+
+/**
+ * Checks the statement file exists in the portal's File Manager (same call as /get-file-metadata)
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} fileId - HubSpot file ID
+ * @returns {Promise<Object|null>} null when the file exists, otherwise the { status, body } error to return
+ */
+const checkStatementFile = async (client, fileId) => {
+  const response = await fetchFileMetadata(client, fileId);
+
+  if (response.ok) {
+    logger.log('[OK] Statement file found:', { fileId, fileName: response.body.name });
+    return null;
   }
 
-  if (!CLIENT_ID || !CLIENT_SECRET) {
-    throw new Error('Missing CLIENT_ID or CLIENT_SECRET environment variables');
+  logger.error('[ERROR] Statement file lookup failed:', {
+    fileId,
+    status: response.status,
+    responseBody: response.body
+  });
+
+  // A missing file is a bad request, not a missing endpoint
+  const notFound = response.status === 404;
+  return {
+    status: notFound ? 400 : response.status,
+    body: {
+      error: notFound ? 'Statement file not found' : 'Failed to fetch file metadata',
+      status: response.status,
+      fileId,
+      message: response.body.message || response.statusText,
+      details: response.body
+    }
+  };
+};
+
+/**
+ * Creates one Gathr Statement record and associates it with every target record
+ * A record with the same statement_id already associated with the source record is returned instead
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} objectTypeId - Gathr Statements object type ID
+ * @param {Object} request - { statementId, targets, properties, fileId } - targets[0] is the source record
+ *   (see associateStatement); properties and fileId are optional
+ * @returns {Promise<Object>} { status, body } - body is the endpoint's JSON response
+ */
+const createStatement = async (client, objectTypeId, { statementId, targets, properties = {}, fileId }) => {
+  const [source] = targets;
+
+  // Step 0: A retried request may already have created and associated this statement
+  const existing = await findExistingStatements(client, objectTypeId, [statementId], source.objectTypeId, source.recordId);
+  if (existing.has(statementId)) {
+    logger.log('[OK] Statement record already exists - not creating a duplicate:', existing.get(statementId));
+    return {
+      status: 200,
+      body: {
+        success: true,
+        recordId: existing.get(statementId),
+        statementId,
+        existing: true,
+        message: 'Statement record already exists and is associated'
+      }
+    };
   }
 
-  const response = await fetch('https://api.hubapi.com/oauth/v1/token', {
+  // The record must not point at a file that doesn't exist
+  if (fileId) {
+    const fileError = await checkStatementFile(client, fileId);
+    if (fileError) {
+      return fileError;
+    }
+  }
+
+  // Resolve (or create) the association labels first, so a bad label never creates a record
+  const resolution = await resolveAssociationTypes(client, objectTypeId, targets);
+  if (resolution.error) {
+    return { status: resolution.error.status, body: resolution.error };
+  }
+
+  // Step 1: Create the new statement record
+  const createPath = `/crm/v3/objects/${objectTypeId}`;
+
+  logger.log('[HUBSPOT] Creating statement record:', {
+    url: `${client.region}${createPath}`,
+    statementId: statementId,
+    properties: Object.keys(properties),
+    fileId
+  });
+
+  const createResponse = await client.request(createPath, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      grant_type: 'refresh_token',
-      client_id: CLIENT_ID,
-      client_secret: CLIENT_SECRET,
-      refresh_token: tokenToUse
-    }).toString()
+    body: {
+      properties: {
+        ...properties,
+        statement_id: statementId,
+        ...(fileId ? { statement: String(fileId) } : {})
+      }
+    }
   });
 
-  const tokens = await response.json();
+  logger.log('[HUBSPOT] Create response:', {
+    status: createResponse.status,
+    ok: createResponse.ok
+  });
 
-  if (!response.ok) {
-    console.error('[ERROR] Token refresh failed:', tokens);
-    throw new Error(`Failed to refresh token: ${tokens.message || response.statusText}`);
+  const createResponseBody = createResponse.body;
+
+  // Handle error responses
+  if (!createResponse.ok) {
+    await dropStaleObjectTypeId(client, createResponse);
+
+    logger.error('[ERROR] Failed to create statement record:', {
+      status: createResponse.status,
+      statusText: createResponse.statusText,
+      responseBody: createResponseBody
+    });
+
+    return {
+      status: createResponse.status,
+      body: {
+        error: 'Failed to create statement record',
+        status: createResponse.status,
+        message: createResponseBody.message || createResponse.statusText,
+        hint: createResponse.status === 400 && Object.keys(properties).length > 0
+          ? 'A property may not exist in this portal. Call /schema-diff to list missing properties, or /provision-schema to add them.'
+          : undefined,
+        details: createResponseBody
+      }
+    };
   }
 
-  // CRITICAL: Validate that the refreshed token belongs to the requested portal
-  const actualHubId = tokens.hub_id ? tokens.hub_id.toString() : null;
-  const requestedHubId = hub_id ? hub_id.toString() : null;
+  const newRecordId = createResponseBody.id;
+  logger.log('[OK] Statement record created:', newRecordId);
 
-  if (actualHubId && requestedHubId && actualHubId !== requestedHubId) {
-    console.error('[ERROR] Token hub_id mismatch!');
-    console.error('   Requested portal:', requestedHubId);
-    console.error('   Token belongs to:', actualHubId);
-    throw new Error(
-      `Token mismatch: Your cached/env tokens belong to portal ${actualHubId}, but you're trying to access portal ${requestedHubId}. ` +
-      `Please complete OAuth installation for portal ${requestedHubId}.`
-    );
+  // Step 2: Associate it with the source record (and any other target records)
+  const association = await associateStatement(client, objectTypeId, newRecordId, resolution.targets);
+
+  if (!association.ok) {
+    // Don't leave an orphaned record behind - delete it, or queue the association for repair
+    const compensation = await compensateUnassociated(client, objectTypeId, [{ recordId: newRecordId, statementId }], resolution.targets);
+    const outcome = compensation.get(String(newRecordId));
+
+    return {
+      status: association.status,
+      body: {
+        error: association.error,
+        status: association.status,
+        message: association.message,
+        hint: association.hint,
+        details: association.details,
+        createdRecordId: newRecordId,
+        ...outcome,
+        note: compensationNote(outcome)
+      }
+    };
   }
 
-  console.log('[OK] Token refreshed successfully for portal:', actualHubId || hub_id);
+  // Success!
+  logger.log('[OK] Statement record created and associated successfully:', {
+    newRecordId,
+    statementId,
+    associatedWith: association.associations
+  });
 
-  const newTokenData = {
-    hub_id: actualHubId || hub_id,
-    accessToken: tokens.access_token,
-    refreshToken: tokens.refresh_token || tokenToUse,
-    expiresAt: Date.now() + (tokens.expires_in * 1000)
+  return {
+    status: 200,
+    body: {
+      success: true,
+      recordId: newRecordId,
+      statementId,
+      associations: association.associations,
+      message: 'Statement record created and associated successfully'
+    }
   };
+};
 
-  try {
-    await saveTokens(actualHubId || hub_id, newTokenData);
-    console.log('   [OK] New tokens saved to storage for portal:', actualHubId || hub_id);
-  } catch (error) {
-    console.error('   [WARN] Failed to save refreshed tokens:', error.message);
-  }
+// Error message for one input of a HubSpot batch call (207 responses list errors with the inputs they affect)
+const batchErrorFor = (responseBody, matches) => {
+  const error = (responseBody.errors || []).find(e => matches(e.context || {}));
+  return error ? error.message : null;
+};
 
-  return newTokenData;
+// Deletes (or queues repairs for) batch results whose record was created but not associated,
+// recording the outcome on each result
+const compensateBatch = async (client, objectTypeId, failed, targets) => {
+  const outcomes = await compensateUnassociated(client, objectTypeId, failed, targets);
+  for (const result of failed) {
+    Object.assign(result, outcomes.get(String(result.recordId)));
+    if (result.rolledBack) {
+      result.recordId = null;
+    }
+  }
 };
 
-// Make HubSpot API call with token refresh retry
-// MULTI-TENANT: Requires hub_id to refresh tokens for the correct portal
-const makeHubSpotRequest = async (url, options, accessToken, hub_id) => {
-  let response = await fetch(url, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-      ...options.headers
+// Batch create + associate, reporting each statement in `results` (see createStatementBatch)
+// `status` is the HubSpot failure that stopped the batch, if any
+const runStatementBatch = async (client, objectTypeId, { statementIds, targets, properties = {} }) => {
+  const [source] = targets;
+  const results = statementIds.map(statementId => ({ statementId, success: false, recordId: null, associated: false, existing: false, error: null }));
+
+  // Step 0: Statements a retried request already created and associated are reported, not created again
+  const existing = await findExistingStatements(client, objectTypeId, statementIds, source.objectTypeId, source.recordId);
+  for (const result of results) {
+    if (existing.has(result.statementId)) {
+      Object.assign(result, { success: true, recordId: existing.get(result.statementId), associated: true, existing: true });
     }
+  }
+
+  const toCreate = results.filter(result => !result.existing);
+  if (toCreate.length === 0) {
+    logger.log('[OK] All', statementIds.length, 'statements already exist - nothing to create');
+    return { status: 200, results };
+  }
+
+  // Resolve (or create) the association labels first, so a bad label never creates records
+  const resolution = await resolveAssociationTypes(client, objectTypeId, targets);
+  if (resolution.error) {
+    toCreate.forEach(result => { result.error = resolution.error.message; });
+    return { status: resolution.error.status, results };
+  }
+
+  // Step 1: Create all records
+  logger.log('[HUBSPOT] Batch creating', toCreate.length, 'statement records');
+  const createResponse = await client.request(`/crm/v3/objects/${objectTypeId}/batch/create`, {
+    method: 'POST',
+    body: { inputs: toCreate.map(result => ({ properties: { ...properties, statement_id: result.statementId } })) }
   });
 
-  // If 401, try to refresh token and retry once
-  if (response.status === 401) {
-    console.log('[REFRESH] Received 401, attempting to refresh token for portal:', hub_id);
-    try {
-      const tokens = await getTokens(hub_id);
-      if (tokens && tokens.refreshToken) {
-        const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken);
-        accessToken = newTokens.accessToken;
-
-        // Retry request with new token
-        response = await fetch(url, {
-          ...options,
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-            ...options.headers
-          }
-        });
-
-        console.log('[HUBSPOT] Retry response after refresh:', response.status);
+  if (!createResponse.ok) {
+    await dropStaleObjectTypeId(client, createResponse);
+
+    logger.error('[ERROR] Batch create failed:', { status: createResponse.status, responseBody: createResponse.body });
+    const message = createResponse.body.message || createResponse.statusText;
+    toCreate.forEach(result => { result.error = `Failed to create statement record: ${message}`; });
+    return { status: createResponse.status, results };
+  }
+
+  // Results aren't guaranteed to come back in input order - match them on statement_id
+  const pending = [...(createResponse.body.results || [])];
+  for (const result of toCreate) {
+    const index = pending.findIndex(record => record.properties && record.properties.statement_id === result.statementId);
+    if (index === -1) {
+      const message = batchErrorFor(createResponse.body, context => (context.statement_id || []).includes(result.statementId));
+      result.error = `Failed to create statement record${message ? `: ${message}` : ''}`;
+      continue;
+    }
+    result.recordId = pending.splice(index, 1)[0].id;
+  }
+
+  const created = toCreate.filter(result => result.recordId);
+  logger.log('[OK] Batch created', created.length, 'of', toCreate.length, 'statement records');
+
+  if (created.length === 0) {
+    return { status: 502, results };
+  }
+
+  // Step 2: Associate every created record with each target record, one batch call per target
+  let failureStatus = null;
+  for (const target of resolution.targets) {
+    const pending = created.filter(result => !result.error);
+    const targetName = `${target.objectTypeId}/${target.recordId}`;
+
+    const associateResponse = await client.request(`/crm/v4/associations/${target.objectTypeId}/${objectTypeId}/batch/create`, {
+      method: 'POST',
+      body: {
+        inputs: pending.map(result => ({
+          from: { id: String(target.recordId) },
+          to: { id: String(result.recordId) },
+          types: [target.associationType]
+        }))
+      }
+    });
+
+    if (!associateResponse.ok) {
+      await dropStaleObjectTypeId(client, associateResponse);
+      logger.error('[ERROR] Batch association failed:', { target: targetName, status: associateResponse.status, responseBody: associateResponse.body });
+      const message = associateResponse.body.message || associateResponse.statusText;
+      pending.forEach(result => { result.error = `Record was created but association with ${targetName} failed: ${message}`; });
+      failureStatus = associateResponse.status;
+      break;
+    }
+
+    const associatedIds = new Set((associateResponse.body.results || []).map(a => String(a.toObjectId)));
+    for (const result of pending) {
+      if (!associatedIds.has(String(result.recordId))) {
+        const message = batchErrorFor(associateResponse.body, context => (context.toObjectId || []).map(String).includes(String(result.recordId)));
+        result.error = `Record was created but association with ${targetName} failed${message ? `: ${message}` : ''}`;
       }
-    } catch (refreshError) {
-      console.error('[ERROR] Token refresh failed:', refreshError.message);
+    }
+
+    if (!pending.some(result => !result.error)) {
+      break;
     }
   }
 
-  return response;
+  for (const result of created) {
+    if (!result.error) {
+      result.associated = true;
+      result.success = true;
+    }
+  }
+
+  const unassociated = created.filter(result => !result.associated);
+  if (unassociated.length > 0) {
+    await compensateBatch(client, objectTypeId, unassociated, resolution.targets);
+  }
+
+  logger.log('[OK]', results.filter(result => result.success).length, 'of', results.length, 'statements created or already present');
+
+  return { status: failureStatus || 200, results };
 };
 
-exports.handler = async (event, context) => {
-  console.log('[CREATE RECORD] Create Statement Record Function Invoked');
+/**
+ * Creates Gathr Statement records in one batch call and associates them with each target record in one more per target
+ * Never throws for HubSpot failures - each statement's outcome is in the returned results
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} objectTypeId - Gathr Statements object type ID
+ * @param {Object} request - { statementIds, targets, properties } - targets[0] is the source record (see
+ *   associateStatement); properties (optional) are set on every record
+ * @returns {Promise<Object>} { status, body } - body has a summary and per-statement
+ *   results: [{ statementId, success, recordId, associated, existing, error }], plus rolledBack and
+ *   repairToken on records that were created but could not be associated
+ */
+const createStatementBatch = async (client, objectTypeId, { statementIds, targets, properties }) => {
+  const report = await runStatementBatch(client, objectTypeId, { statementIds, targets, properties });
+  const succeeded = report.results.filter(result => result.success).length;
+
+  // 200 when every statement is in place, 207 when only some are, otherwise the HubSpot failure
+  let status = report.status;
+  if (succeeded === statementIds.length) {
+    status = 200;
+  } else if (succeeded > 0) {
+    status = 207;
+  }
+
+  return {
+    status,
+    body: {
+      success: succeeded === statementIds.length,
+      summary: { requested: statementIds.length, succeeded, failed: statementIds.length - succeeded },
+      results: report.results
+    }
+  };
+};
+
+exports.handler = logger.withRequestLogging('create-statement-record', async (event, context) => {
+  logger.log('[CREATE RECORD] Create Statement Record Function Invoked');
 
   // Enable CORS
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Request-Id',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Content-Type': 'application/json'
   };
 
   // Handle preflight requests
   if (event.httpMethod === 'OPTIONS') {
-    console.log('   Handling OPTIONS preflight request');
+    logger.log('   Handling OPTIONS preflight request');
     return { statusCode: 200, headers, body: '' };
   }
 
@@ -178,45 +877,128 @@ exports.handler = async (event, context) => {
   try {
     // Parse request body
     const body = JSON.parse(event.body);
-    const { statementId, currentObjectTypeId, currentRecordId, hubspotRegion, hub_id } = body;
 
-    console.log('[REQUEST] Create record request:', {
+    // MULTI-TENANT: hub_id comes from the verified HubSpot signature - a body hub_id must match it
+    const auth = authenticateRequest(event, headers, body.hub_id);
+    if (auth.errorResponse) {
+      return auth.errorResponse;
+    }
+    const { hub_id } = auth;
+
+    const rateLimit = await applyRateLimit(hub_id, headers);
+    if (rateLimit.errorResponse) {
+      return rateLimit.errorResponse;
+    }
+
+    const { statementId, statementIds, currentObjectTypeId, currentRecordId, hubspotRegion, repairToken, properties, fileId } = body;
+    const batch = Array.isArray(statementIds);
+
+    // Repair mode: retry the association of a record whose association failed earlier
+    if (repairToken) {
+      const repairClient = await createHubSpotClient(hub_id, hubspotRegion);
+
+      if (!repairClient) {
+        logger.error('[ERROR] No access token available');
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({
+            error: 'No access token available. Please authenticate first.',
+            needsAuth: true
+          })
+        };
+      }
+
+      const repair = await repairAssociation(repairClient, String(repairToken));
+      return {
+        statusCode: repair.status,
+        headers,
+        body: JSON.stringify({ ...repair.body, retries: repairClient.getRetryCount() })
+      };
+    }
+
+    logger.log('[REQUEST] Create record request:', {
       statementId,
+      statementCount: batch ? statementIds.length : undefined,
       currentObjectTypeId,
       currentRecordId,
+      associationLabel: body.associationLabel,
+      associationTypeId: body.associationTypeId,
+      extraAssociations: Array.isArray(body.associations) ? body.associations.length : undefined,
+      properties: properties && typeof properties === 'object' ? Object.keys(properties) : undefined,
+      fileId,
       hubspotRegion,
       hub_id
     });
 
     // Validate required fields
-    if (!statementId || !currentObjectTypeId || !currentRecordId) {
+    if ((!statementId && !batch) || !currentObjectTypeId || !currentRecordId) {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({
-          error: 'Missing required fields: statementId, currentObjectTypeId, and currentRecordId are required'
+          error: 'Missing required fields: statementId (or statementIds), currentObjectTypeId, and currentRecordId are required'
         })
       };
     }
 
-    // MULTI-TENANT: hub_id is required to retrieve the correct portal's tokens
-    if (!hub_id) {
-      console.error('[ERROR] Missing hub_id in request body');
+    if (!batch && typeof statementId !== 'string') {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({
-          error: 'hub_id is required in request body for multi-tenant authentication',
-          hint: 'Include the HubSpot portal ID in your request: { "hub_id": "123456" }'
+          error: 'statementId must be a non-empty string'
         })
       };
     }
 
-    // Get access token for this specific portal
-    let accessToken = await getAccessToken(hub_id);
+    if (batch && (statementIds.length === 0 || statementIds.length > MAX_BATCH_SIZE || !statementIds.every(id => id && typeof id === 'string'))) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: `statementIds must be an array of 1 to ${MAX_BATCH_SIZE} non-empty strings`
+        })
+      };
+    }
 
-    if (!accessToken) {
-      console.error('[ERROR] No access token available');
+    // The same ID twice would create two records - the duplicate check only sees records that already exist
+    if (batch && new Set(statementIds).size !== statementIds.length) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'statementIds must not contain duplicates'
+        })
+      };
+    }
+
+    const { targets, error: targetsError } = resolveTargets(body);
+    if (targetsError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: targetsError })
+      };
+    }
+
+    // Each statement has its own file, so fileId is only accepted with a single statementId
+    const fieldsError = propertiesError(properties)
+      || (fileId !== undefined && batch ? 'fileId is only supported with statementId - set the file on each record with /update-statement-record' : null)
+      || (fileId !== undefined && !/^\d+$/.test(String(fileId)) ? 'fileId must be a numeric HubSpot file ID' : null);
+    if (fieldsError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: fieldsError })
+      };
+    }
+
+    // Get a HubSpot client for this specific portal
+    const client = await createHubSpotClient(hub_id, hubspotRegion);
+
+    if (!client) {
+      logger.error('[ERROR] No access token available');
       return {
         statusCode: 401,
         headers,
@@ -227,18 +1009,15 @@ exports.handler = async (event, context) => {
       };
     }
 
-    console.log('[OK] Access token found');
+    logger.log('[OK] Access token found');
 
     // Get the Gathr Statements object type ID (portal-specific)
-    const { getGathrStatementsObjectTypeId } = require('./create-schema');
-    const region = hubspotRegion || 'https://api-eu1.hubapi.com';
-
     let GATHR_STATEMENT_OBJECT_TYPE_ID;
     try {
-      GATHR_STATEMENT_OBJECT_TYPE_ID = await getGathrStatementsObjectTypeId(hub_id, region);
+      GATHR_STATEMENT_OBJECT_TYPE_ID = await getGathrStatementsObjectTypeId(client);
 
       if (!GATHR_STATEMENT_OBJECT_TYPE_ID) {
-        console.error('[ERROR] Gathr Statements custom object not found');
+        logger.error('[ERROR] Gathr Statements custom object not found');
         return {
           statusCode: 404,
           headers,
@@ -250,9 +1029,9 @@ exports.handler = async (event, context) => {
         };
       }
 
-      console.log('[OK] Found Gathr Statements object type ID:', GATHR_STATEMENT_OBJECT_TYPE_ID);
+      logger.log('[OK] Found Gathr Statements object type ID:', GATHR_STATEMENT_OBJECT_TYPE_ID);
     } catch (lookupError) {
-      console.error('[ERROR] Failed to lookup object type ID:', lookupError.message);
+      logger.error('[ERROR] Failed to lookup object type ID:', lookupError.message);
       return {
         statusCode: 500,
         headers,
@@ -263,211 +1042,59 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Step 1: Create the new statement record
-    const createUrl = `${region}/crm/v3/objects/${GATHR_STATEMENT_OBJECT_TYPE_ID}`;
-
-    console.log('[HUBSPOT] Creating statement record:', {
-      url: createUrl,
-      statementId: statementId
-    });
-
-    const createResponse = await makeHubSpotRequest(
-      createUrl,
-      {
-        method: 'POST',
-        body: JSON.stringify({
-          properties: {
-            statement_id: statementId
-          }
-        })
-      },
-      accessToken,
-      hub_id
-    );
-
-    console.log('[HUBSPOT] Create response:', {
-      status: createResponse.status,
-      ok: createResponse.ok
-    });
-
-    // Get response body
-    const contentType = createResponse.headers.get('content-type');
-    let createResponseBody;
-
-    if (contentType && contentType.includes('application/json')) {
-      createResponseBody = await createResponse.json();
-    } else {
-      createResponseBody = await createResponse.text();
-    }
-
-    // Handle error responses
-    if (!createResponse.ok) {
-      console.error('[ERROR] Failed to create statement record:', {
-        status: createResponse.status,
-        statusText: createResponse.statusText,
-        responseBody: createResponseBody
-      });
-
+    // Requests with the same idempotency key (default: source record + statement IDs) are only run once
+    const idempotencyKey = body.idempotencyKey || [
+      currentObjectTypeId,
+      currentRecordId,
+      ...(batch ? [...statementIds].sort() : [statementId]),
+      ...targets.slice(1).map(target => `${target.objectTypeId}/${target.recordId}`)
+    ].join(':');
+    const idempotencyName = idempotencyCacheName(idempotencyKey);
+
+    const previous = await getCachedValue(hub_id, idempotencyName);
+    if (previous) {
+      logger.log('[OK] Returning stored result for idempotency key');
       return {
-        statusCode: createResponse.status,
+        statusCode: previous.status,
         headers,
-        body: JSON.stringify({
-          error: 'Failed to create statement record',
-          status: createResponse.status,
-          message: createResponseBody.message || createResponse.statusText,
-          details: createResponseBody
-        })
+        body: JSON.stringify({ ...previous.body, replayed: true, retries: 0 })
       };
     }
 
-    const newRecordId = createResponseBody.id;
-    console.log('[OK] Statement record created:', newRecordId);
-
-    // Step 2: Fetch available association types between source object and custom object
-    console.log('[HUBSPOT] Fetching association types between', currentObjectTypeId, 'and', GATHR_STATEMENT_OBJECT_TYPE_ID);
-
-    const associationSchemaUrl = `${region}/crm/v4/associations/${currentObjectTypeId}/${GATHR_STATEMENT_OBJECT_TYPE_ID}/labels`;
-
-    let associationTypeId;
-    let associationCategory = 'HUBSPOT_DEFINED';
-
-    try {
-      const schemaResponse = await makeHubSpotRequest(
-        associationSchemaUrl,
-        { method: 'GET' },
-        accessToken,
-        hub_id
-      );
-
-      if (schemaResponse.ok) {
-        const schemaResponseBody = await schemaResponse.json();
-        console.log('[HUBSPOT] Association schema response:', schemaResponseBody);
-
-        if (schemaResponseBody.results && schemaResponseBody.results.length > 0) {
-          // Use the first primary association type
-          const primaryAssoc = schemaResponseBody.results.find(a => a.label && a.label.toLowerCase().includes('primary'))
-            || schemaResponseBody.results[0];
-
-          associationTypeId = primaryAssoc.typeId;
-          associationCategory = primaryAssoc.category || 'HUBSPOT_DEFINED';
-
-          console.log('[OK] Found association type:', {
-            typeId: associationTypeId,
-            category: associationCategory,
-            label: primaryAssoc.label
-          });
-        } else {
-          console.log('[WARN] No association types found in schema response');
-        }
-      } else {
-        const errorBody = await schemaResponse.text();
-        console.log('[WARN] Failed to fetch association schema:', schemaResponse.status, errorBody);
-      }
-    } catch (error) {
-      console.log('[WARN] Error fetching association schema:', error.message);
-    }
-
-    // If we couldn't find the association type, return error
-    if (!associationTypeId) {
-      console.error('[ERROR] Could not determine association type');
+    const lockToken = await acquireIdempotencyLock(hub_id, idempotencyName);
+    if (!lockToken) {
       return {
-        statusCode: 500,
-        headers,
+        statusCode: 409,
+        headers: { ...headers, 'Retry-After': '2' },
         body: JSON.stringify({
-          error: 'Association type not found',
-          message: 'Could not find association type between ' + currentObjectTypeId + ' and ' + GATHR_STATEMENT_OBJECT_TYPE_ID,
-          hint: 'Please ensure the custom object schema defines associations with contacts/companies',
-          createdRecordId: newRecordId,
-          note: 'Record was created but could not be associated'
+          error: 'A request with this idempotency key is already in progress',
+          hint: 'Retry shortly to get its result'
         })
       };
     }
 
-    // Step 3: Create the association
-    const associateUrl = `${region}/crm/v4/objects/${currentObjectTypeId}/${currentRecordId}/associations/${GATHR_STATEMENT_OBJECT_TYPE_ID}/${newRecordId}`;
+    let result;
+    try {
+      result = batch
+        ? await createStatementBatch(client, GATHR_STATEMENT_OBJECT_TYPE_ID, { statementIds, targets, properties })
+        : await createStatement(client, GATHR_STATEMENT_OBJECT_TYPE_ID, { statementId, targets, properties, fileId });
 
-    const associationPayload = [
-      {
-        associationCategory: associationCategory,
-        associationTypeId: associationTypeId
+      // Only complete successes are replayed - anything else is retried (existing records are found, not duplicated)
+      if (result.status === 200) {
+        await setCachedValue(hub_id, idempotencyName, result, IDEMPOTENCY_TTL_MS);
       }
-    ];
-
-    console.log('[HUBSPOT] Creating association:', {
-      url: associateUrl,
-      from: { objectTypeId: currentObjectTypeId, objectId: currentRecordId },
-      to: { objectTypeId: GATHR_STATEMENT_OBJECT_TYPE_ID, objectId: newRecordId },
-      payload: associationPayload
-    });
-
-    const associateResponse = await makeHubSpotRequest(
-      associateUrl,
-      {
-        method: 'PUT',
-        body: JSON.stringify(associationPayload)
-      },
-      accessToken,
-      hub_id
-    );
-
-    console.log('[HUBSPOT] Associate response:', {
-      status: associateResponse.status,
-      ok: associateResponse.ok
-    });
-
-    // Get response body
-    const associateContentType = associateResponse.headers.get('content-type');
-    let associateResponseBody;
-
-    if (associateContentType && associateContentType.includes('application/json')) {
-      associateResponseBody = await associateResponse.json();
-    } else {
-      associateResponseBody = await associateResponse.text();
+    } finally {
+      await releaseIdempotencyLock(hub_id, idempotencyName, lockToken);
     }
 
-    // Handle error responses
-    if (!associateResponse.ok) {
-      console.error('[ERROR] Failed to associate record:', {
-        status: associateResponse.status,
-        statusText: associateResponse.statusText,
-        responseBody: associateResponseBody
-      });
-
-      return {
-        statusCode: associateResponse.status,
-        headers,
-        body: JSON.stringify({
-          error: 'Failed to associate record',
-          status: associateResponse.status,
-          message: associateResponseBody.message || associateResponse.statusText,
-          details: associateResponseBody,
-          note: 'Record was created but association failed',
-          createdRecordId: newRecordId
-        })
-      };
-    }
-
-    // Success!
-    console.log('[OK] Statement record created and associated successfully:', {
-      newRecordId,
-      statementId,
-      associatedWith: { objectTypeId: currentObjectTypeId, objectId: currentRecordId }
-    });
-
     return {
-      statusCode: 200,
+      statusCode: result.status,
       headers,
-      body: JSON.stringify({
-        success: true,
-        recordId: newRecordId,
-        statementId,
-        message: 'Statement record created and associated successfully'
-      })
+      body: JSON.stringify({ ...result.body, retries: client.getRetryCount() })
     };
-
   } catch (error) {
-    console.error('[ERROR] Error creating/associating statement record:', error);
-    console.error('   Error stack:', error.stack);
+    logger.error('[ERROR] Error creating/associating statement record:', error);
+    logger.error('   Error stack:', error.stack);
     
     return {
       statusCode: 500,
@@ -478,4 +1105,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+});
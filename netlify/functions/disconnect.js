@@ -0,0 +1,167 @@
+// Disconnect - Revokes a portal's refresh token with HubSpot and deletes its stored tokens
+// Called two ways:
+//   - From the Gathr app via hubspot.fetch() (signed request, portal from the signature)
+//   - By HubSpot's app-uninstall webhook (signed delivery with no portalId in the URL, an array of
+//     events with portalId; only events whose appId is HUBSPOT_APP_ID are acted on)
+const { getTokens, deleteTokens } = require('./token-store');
+const { revokeRefreshToken } = require('./hubspot-client');
+const { authenticateRequest, verifyHubSpotSignature } = require('./hubspot-signature');
+const { applyRateLimit } = require('./rate-limit');
+const logger = require('./logger');
+
+// Webhook subscription types that mean the app was removed from a portal
+const UNINSTALL_SUBSCRIPTION_TYPES = ['app.uninstall', 'app_uninstall'];
+
+/**
+ * Revokes and deletes the stored credentials for a portal
+ * @param {string} hub_id - Portal ID
+ * @returns {Promise<Object>} { hub_id, revoked, deleted }
+ */
+const disconnectPortal = async (hub_id) => {
+  logger.log('[DISCONNECT] Disconnecting portal:', hub_id);
+
+  const tokens = await getTokens(hub_id);
+  let revoked = false;
+
+  if (tokens && tokens.refreshToken) {
+    ({ revoked } = await revokeRefreshToken(tokens.refreshToken));
+  } else {
+    logger.log('[WARN] No refresh token stored for portal:', hub_id);
+  }
+
+  // Delete even if revocation failed - the token is useless to us once the portal is gone
+  const deleted = await deleteTokens(hub_id);
+
+  logger.log('[OK] Portal disconnected:', { hub_id, revoked, deleted });
+  return { hub_id, revoked, deleted };
+};
+
+// HubSpot webhook delivery: a batch of events, each with its own portalId
+const handleUninstallWebhook = async (event, events, headers) => {
+  const verification = verifyHubSpotSignature(event);
+  if (!verification.valid) {
+    logger.warn('[WARN] Rejected webhook delivery:', verification.reason);
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized', message: verification.reason })
+    };
+  }
+
+  // hubspot.fetch() calls are signed with the same secret but carry portalId in the URL -
+  // a portal must not be able to pass off its own request as an uninstall of other portals
+  if (verification.hub_id) {
+    logger.warn('[WARN] Rejected webhook-shaped request from portal:', verification.hub_id);
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Forbidden', message: 'Uninstall events are only accepted from HubSpot webhook deliveries' })
+    };
+  }
+
+  // Only events for this app count - the app ID comes from its HubSpot developer settings
+  const APP_ID = process.env.HUBSPOT_APP_ID;
+  if (!APP_ID) {
+    logger.error('[ERROR] HUBSPOT_APP_ID is not set - cannot verify uninstall events');
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Missing HUBSPOT_APP_ID environment variable' })
+    };
+  }
+
+  const uninstalls = events.filter(e => e && UNINSTALL_SUBSCRIPTION_TYPES.includes(e.subscriptionType) && e.portalId);
+  const foreign = uninstalls.filter(e => String(e.appId) !== APP_ID);
+  if (foreign.length > 0) {
+    logger.warn('[WARN] Ignoring', foreign.length, 'uninstall event(s) for other app IDs:', [...new Set(foreign.map(e => String(e.appId)))]);
+  }
+
+  const portalIds = [...new Set(uninstalls
+    .filter(e => String(e.appId) === APP_ID)
+    .map(e => e.portalId.toString()))];
+
+  logger.log('[WEBHOOK] Received', events.length, 'event(s),', portalIds.length, 'uninstall(s)');
+
+  const results = [];
+  let failed = false;
+
+  for (const hub_id of portalIds) {
+    try {
+      results.push(await disconnectPortal(hub_id));
+    } catch (error) {
+      failed = true;
+      logger.error('[ERROR] Failed to disconnect portal', hub_id, error);
+      results.push({ hub_id, error: error.message });
+    }
+  }
+
+  // A non-2xx response makes HubSpot retry the delivery
+  return {
+    statusCode: failed ? 500 : 200,
+    headers,
+    body: JSON.stringify({ success: !failed, results })
+  };
+};
+
+exports.handler = logger.withRequestLogging('disconnect', async (event, context) => {
+  logger.log('[DISCONNECT] Disconnect Function Invoked');
+
+  // Enable CORS
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Request-Id',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    logger.log('   Handling OPTIONS preflight request');
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only accept POST requests
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed. Use POST.' })
+    };
+  }
+
+  try {
+    const body = event.body ? JSON.parse(event.body) : {};
+
+    if (Array.isArray(body)) {
+      return await handleUninstallWebhook(event, body, headers);
+    }
+
+    // MULTI-TENANT: a portal can only disconnect itself - hub_id comes from the verified signature
+    const auth = authenticateRequest(event, headers, body.hub_id);
+    if (auth.errorResponse) {
+      return auth.errorResponse;
+    }
+    const rateLimit = await applyRateLimit(auth.hub_id, headers);
+    if (rateLimit.errorResponse) {
+      return rateLimit.errorResponse;
+    }
+
+    const result = await disconnectPortal(auth.hub_id);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, ...result })
+    };
+  } catch (error) {
+    logger.error('[ERROR] Error in Disconnect Function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message
+      })
+    };
+  }
+});
@@ -1,123 +1,23 @@
-const fetch = require('node-fetch');
-const { getTokens, needsRefresh, saveTokens } = require('./token-store');
+const { createHubSpotClient } = require('./hubspot-client');
+const { authenticateRequest } = require('./hubspot-signature');
+const { applyRateLimit } = require('./rate-limit');
+const logger = require('./logger');
 
-// Get the current access token (with auto-refresh)
-// MULTI-TENANT: Requires hub_id to retrieve the correct portal's tokens
-const getAccessToken = async (hub_id) => {
-    console.log('[AUTH] Getting access token for portal:', hub_id);
-
-    try {
-        const tokens = await getTokens(hub_id);
-
-        if (tokens && tokens.accessToken) {
-            console.log('   [OK] Found tokens in storage for portal:', hub_id);
-
-            // Check if token needs refresh
-            if (needsRefresh(tokens)) {
-                console.log('   [REFRESH] Token expired or expiring soon, refreshing...');
-                const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken);
-                return newTokens.accessToken;
-            }
-
-            return tokens.accessToken;
-        }
-    } catch (error) {
-        console.log('   [WARN] Error accessing token storage:', error.message);
-    }
-
-    // Fallback to environment variables (single-tenant dev/test only)
-    if (process.env.HUBSPOT_ACCESS_TOKEN) {
-        console.log('   [OK] Falling back to environment variable (single-tenant mode)');
-        return process.env.HUBSPOT_ACCESS_TOKEN;
-    }
-
-    console.log('   [ERROR] No access token found for portal:', hub_id);
-    return null;
-};
-
-// Refresh token helper
-// MULTI-TENANT: Requires hub_id to save the refreshed tokens for the correct portal
-const refreshAccessToken = async (hub_id, refreshToken) => {
-    console.log('[REFRESH] Refreshing access token for portal:', hub_id);
-
-    const CLIENT_ID = process.env.CLIENT_ID;
-    const CLIENT_SECRET = process.env.CLIENT_SECRET;
-
-    const tokenToUse = refreshToken || process.env.HUBSPOT_REFRESH_TOKEN;
-
-    if (!tokenToUse) {
-        throw new Error('No refresh token available');
-    }
-
-    if (!CLIENT_ID || !CLIENT_SECRET) {
-        throw new Error('Missing CLIENT_ID or CLIENT_SECRET environment variables');
-    }
-
-    const response = await fetch('https://api.hubapi.com/oauth/v1/token', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-            grant_type: 'refresh_token',
-            client_id: CLIENT_ID,
-            client_secret: CLIENT_SECRET,
-            refresh_token: tokenToUse
-        }).toString()
-    });
-
-    const tokens = await response.json();
-
-    if (!response.ok) {
-        console.error('[ERROR] Token refresh failed:', tokens);
-        throw new Error(`Failed to refresh token: ${tokens.message || response.statusText}`);
-    }
-
-    // CRITICAL: Validate that the refreshed token belongs to the requested portal
-    const actualHubId = tokens.hub_id ? tokens.hub_id.toString() : null;
-    const requestedHubId = hub_id ? hub_id.toString() : null;
-
-    if (actualHubId && requestedHubId && actualHubId !== requestedHubId) {
-        console.error('[ERROR] Token hub_id mismatch!');
-        console.error('   Requested portal:', requestedHubId);
-        console.error('   Token belongs to:', actualHubId);
-        throw new Error(
-            `Token mismatch: Your cached/env tokens belong to portal ${actualHubId}, but you're trying to access portal ${requestedHubId}. ` +
-            `Please complete OAuth installation for portal ${requestedHubId}.`
-        );
-    }
-
-    console.log('[OK] Token refreshed successfully for portal:', actualHubId || hub_id);
-
-    const newTokenData = {
-        hub_id: actualHubId || hub_id,
-        accessToken: tokens.access_token,
-        refreshToken: tokens.refresh_token || tokenToUse,
-        expiresAt: Date.now() + (tokens.expires_in * 1000)
-    };
-
-    try {
-        await saveTokens(actualHubId || hub_id, newTokenData);
-        console.log('   [OK] New tokens saved to storage for portal:', actualHubId || hub_id);
-    } catch (error) {
-        console.error('   [WARN] Failed to save refreshed tokens:', error.message);
-    }
-
-    return newTokenData;
-};
-
-exports.handler = async (event, context) => {
-    console.log('[GET OBJECT SCHEMA] Get Object Schema Function Invoked');
+exports.handler = logger.withRequestLogging('get-object-schema', async (event, context) => {
+    logger.log('[GET OBJECT SCHEMA] Get Object Schema Function Invoked');
 
     // Enable CORS
     const headers = {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Request-Id',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Expose-Headers': 'X-HubSpot-Retries',
         'Content-Type': 'application/json'
     };
 
     // Handle preflight requests
     if (event.httpMethod === 'OPTIONS') {
-        console.log('   Handling OPTIONS preflight request');
+        logger.log('   Handling OPTIONS preflight request');
         return { statusCode: 200, headers, body: '' };
     }
 
@@ -132,31 +32,31 @@ exports.handler = async (event, context) => {
     try {
         // Parse request body
         const body = JSON.parse(event.body);
-        const { hubspotRegion, hub_id } = body;
 
-        console.log('[REQUEST] Get object schema request:', {
+        // MULTI-TENANT: hub_id comes from the verified HubSpot signature - a body hub_id must match it
+        const auth = authenticateRequest(event, headers, body.hub_id);
+        if (auth.errorResponse) {
+            return auth.errorResponse;
+        }
+        const { hub_id } = auth;
+
+        const rateLimit = await applyRateLimit(hub_id, headers);
+        if (rateLimit.errorResponse) {
+            return rateLimit.errorResponse;
+        }
+
+        const { hubspotRegion } = body;
+
+        logger.log('[REQUEST] Get object schema request:', {
             hubspotRegion,
             hub_id
         });
 
-        // MULTI-TENANT: hub_id is required to retrieve the correct portal's tokens
-        if (!hub_id) {
-            console.error('[ERROR] Missing hub_id in request body');
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({
-                    error: 'hub_id is required in request body for multi-tenant authentication',
-                    hint: 'Include the HubSpot portal ID in your request: { "hub_id": "123456" }'
-                })
-            };
-        }
-
-        // Get access token for this specific portal
-        let accessToken = await getAccessToken(hub_id);
+        // Get a HubSpot client for this specific portal
+        const client = await createHubSpotClient(hub_id, hubspotRegion);
 
-        if (!accessToken) {
-            console.error('[ERROR] No access token available');
+        if (!client) {
+            logger.error('[ERROR] No access token available');
             return {
                 statusCode: 401,
                 headers,
@@ -167,80 +67,36 @@ exports.handler = async (event, context) => {
             };
         }
 
-        console.log('[OK] Access token found');
+        logger.log('[OK] Access token found');
 
-        // Construct HubSpot API URL
-        const region = hubspotRegion || 'https://api-eu1.hubapi.com';
-        const hubspotUrl = `${region}/crm-object-schemas/v3/schemas`;
+        // Construct HubSpot API path
+        const hubspotPath = '/crm-object-schemas/v3/schemas';
 
-        console.log('[HUBSPOT] Fetching object schema:', {
-            url: hubspotUrl
+        logger.log('[HUBSPOT] Fetching object schema:', {
+            url: `${client.region}${hubspotPath}`
         });
 
-        const requestStart = Date.now();
-
         // Make the request to HubSpot
-        let response = await fetch(hubspotUrl, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`
-            }
-        });
-
-        const requestDuration = Date.now() - requestStart;
+        const response = await client.request(hubspotPath, { method: 'GET' });
+        const responseBody = response.body;
 
-        console.log('[HUBSPOT] Response received:', {
+        logger.log('[HUBSPOT] Response received:', {
             status: response.status,
             statusText: response.statusText,
             ok: response.ok,
-            duration: requestDuration
+            duration: response.duration
         });
 
-        // If 401, try to refresh token and retry once
-        if (response.status === 401) {
-            console.log('[REFRESH] Received 401, attempting to refresh token for portal:', hub_id);
-            try {
-                const tokens = await getTokens(hub_id);
-                if (tokens && tokens.refreshToken) {
-                    const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken);
-                    accessToken = newTokens.accessToken;
-
-                    // Retry request with new token
-                    response = await fetch(hubspotUrl, {
-                        method: 'GET',
-                        headers: {
-                            'Authorization': `Bearer ${accessToken}`,
-                            'Content-Type': 'application/json'
-                        }
-                    });
-
-                    console.log('[HUBSPOT] Retry response after refresh:', response.status);
-                }
-            } catch (refreshError) {
-                console.error('[ERROR] Token refresh failed:', refreshError.message);
-            }
-        }
-
-        // Get response body
-        const contentType = response.headers.get('content-type');
-        let responseBody;
-
-        if (contentType && contentType.includes('application/json')) {
-            responseBody = await response.json();
-        } else {
-            responseBody = await response.text();
-        }
-
-        console.log('[OK] Returning object schema response, status:', response.status);
+        logger.log('[OK] Returning object schema response, status:', response.status);
 
         // Return the response
         return {
             statusCode: response.status,
-            headers,
+            headers: { ...headers, 'X-HubSpot-Retries': String(response.retries) },
             body: typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody)
         };
     } catch (error) {
-        console.error('[ERROR] Error in Get Object Schema Function:', error);
+        logger.error('[ERROR] Error in Get Object Schema Function:', error);
         return {
             statusCode: 500,
             headers,
@@ -250,4 +106,4 @@ exports.handler = async (event, context) => {
             })
         };
     }
-};
\ No newline at end of file
+});
@@ -0,0 +1,520 @@
+// HubSpot API Client - Shared token lookup, refresh, retry and response parsing
+// MULTI-TENANT: Every client is bound to a single hub_id and uses that portal's tokens
+
+const fetch = require('node-fetch');
+const {
+  getTokens,
+  saveTokens,
+  needsRefresh,
+  acquireRefreshLock,
+  releaseRefreshLock,
+  waitForRefreshedTokens
+} = require('./token-store');
+const logger = require('./logger');
+
+const DEFAULT_REGION = 'https://api-eu1.hubapi.com';
+const OAUTH_TOKEN_URL = 'https://api.hubapi.com/oauth/v1/token';
+const OAUTH_REFRESH_TOKENS_URL = 'https://api.hubapi.com/oauth/v1/refresh-tokens';
+const OAUTH_ACCESS_TOKENS_URL = 'https://api.hubapi.com/oauth/v1/access-tokens';
+
+// Backoff for 429 / 5xx responses - retries stop once the next wait would pass the client's time budget
+// (Netlify cuts synchronous functions off at 10s by default)
+const MAX_RETRIES = parseInt(process.env.HUBSPOT_MAX_RETRIES || '3');
+const RETRY_BASE_DELAY_MS = parseInt(process.env.HUBSPOT_RETRY_BASE_DELAY_MS || '500');
+const RETRY_MAX_DELAY_MS = parseInt(process.env.HUBSPOT_RETRY_MAX_DELAY_MS || '4000');
+const RETRY_BUDGET_MS = parseInt(process.env.HUBSPOT_RETRY_BUDGET_MS || '8000');
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// HubSpot refresh tokens start with the portal's data centre, e.g. "na1-..." or "eu1-..."
+const REFRESH_TOKEN_DATA_CENTER = /^([a-z]{2,3}\d)-/;
+
+// API hosts of the data centres we know - any other prefix is left to the requested/default region
+const DATA_CENTER_REGIONS = {
+  na1: 'https://api.hubapi.com',
+  eu1: 'https://api-eu1.hubapi.com'
+};
+
+/**
+ * Works out a portal's API region from its refresh token
+ * @param {string} refreshToken - HubSpot refresh token
+ * @returns {string|null} Region base URL (na1 -> https://api.hubapi.com, eu1 -> https://api-eu1.hubapi.com),
+ *   or null if the token doesn't say or names a data centre we don't know
+ */
+const detectRegion = (refreshToken) => {
+  const match = REFRESH_TOKEN_DATA_CENTER.exec(refreshToken || '');
+  if (!match) {
+    return null;
+  }
+  if (!DATA_CENTER_REGIONS[match[1]]) {
+    logger.log('[WARN] Unknown HubSpot data centre in refresh token:', match[1]);
+    return null;
+  }
+  return DATA_CENTER_REGIONS[match[1]];
+};
+
+// HubSpot API hosts any client may call (PROXY_ALLOWED_HOSTS, shared with the proxy allow-list)
+const DEFAULT_ALLOWED_HOSTS = 'api.hubapi.com,api-eu1.hubapi.com';
+
+const getAllowedHosts = () => (process.env.PROXY_ALLOWED_HOSTS || DEFAULT_ALLOWED_HOSTS)
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Checks a region is a bare https origin on an allowed HubSpot API host - no credentials, port or path
+ * @param {string} region - Region base URL (e.g. https://api-eu1.hubapi.com)
+ * @returns {string|null} Why the region is refused, or null if it is allowed
+ */
+const checkRegion = (region) => {
+  let url;
+  try {
+    url = new URL(region);
+  } catch (error) {
+    return `Region is not a valid URL: ${region}`;
+  }
+
+  if (url.protocol !== 'https:' || url.username || url.password || url.port || url.pathname.replace(/\/+$/, '') || url.search) {
+    return `Region must be a plain https origin with no credentials, port or path (got ${region})`;
+  }
+
+  if (!getAllowedHosts().includes(url.hostname.toLowerCase())) {
+    return `Host ${url.hostname} is not an allowed HubSpot API host`;
+  }
+
+  return null;
+};
+
+/**
+ * Normalises a HubSpot API region (falls back to the default region)
+ * @param {string} region - Region base URL (e.g. https://api-eu1.hubapi.com)
+ * @param {string} fallback - Region to use when none is supplied
+ * @returns {string} Region base URL without a trailing slash
+ */
+const resolveRegion = (region, fallback = DEFAULT_REGION) => {
+  return (region || fallback).replace(/\/+$/, '');
+};
+
+// Exchange a refresh token with HubSpot and save the result
+// MULTI-TENANT: Validates that the refreshed token belongs to the requested portal
+// Install metadata (scopes, user, hub domain, region) from the previous record is carried over
+const requestTokenRefresh = async (hub_id, refreshToken, previousTokens = {}) => {
+  logger.log('[REFRESH] Refreshing access token for portal:', hub_id);
+
+  const CLIENT_ID = process.env.CLIENT_ID;
+  const CLIENT_SECRET = process.env.CLIENT_SECRET;
+
+  const tokenToUse = refreshToken || process.env.HUBSPOT_REFRESH_TOKEN;
+
+  if (!tokenToUse) {
+    throw new Error('No refresh token available');
+  }
+
+  if (!CLIENT_ID || !CLIENT_SECRET) {
+    throw new Error('Missing CLIENT_ID or CLIENT_SECRET environment variables');
+  }
+
+  const response = await fetch(OAUTH_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      refresh_token: tokenToUse
+    }).toString()
+  });
+
+  const tokens = await response.json();
+
+  if (!response.ok) {
+    logger.error('[ERROR] Token refresh failed:', tokens);
+    throw new Error(`Failed to refresh token: ${tokens.message || response.statusText}`);
+  }
+
+  // CRITICAL: Validate that the refreshed token belongs to the requested portal
+  const actualHubId = tokens.hub_id ? tokens.hub_id.toString() : null;
+  const requestedHubId = hub_id ? hub_id.toString() : null;
+
+  if (actualHubId && requestedHubId && actualHubId !== requestedHubId) {
+    logger.error('[ERROR] Token hub_id mismatch!');
+    logger.error('   Requested portal:', requestedHubId);
+    logger.error('   Token belongs to:', actualHubId);
+    throw new Error(
+      `Token mismatch: Your cached/env tokens belong to portal ${actualHubId}, but you're trying to access portal ${requestedHubId}. ` +
+      `Please complete OAuth installation for portal ${requestedHubId}.`
+    );
+  }
+
+  logger.log('[OK] Token refreshed successfully for portal:', actualHubId || hub_id);
+
+  const newTokenData = {
+    hub_id: actualHubId || hub_id,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || tokenToUse,
+    expiresAt: Date.now() + (tokens.expires_in * 1000),
+    scopes: previousTokens.scopes,
+    user: previousTokens.user,
+    hubDomain: previousTokens.hubDomain,
+    region: detectRegion(tokens.refresh_token || tokenToUse) || previousTokens.region
+  };
+
+  try {
+    await saveTokens(actualHubId || hub_id, newTokenData);
+    logger.log('   [OK] New tokens saved to storage for portal:', actualHubId || hub_id);
+  } catch (error) {
+    logger.error('   [WARN] Failed to save refreshed tokens:', error.message);
+  }
+
+  return newTokenData;
+};
+
+/**
+ * Refreshes the access token for a portal and saves it to persistent storage
+ * Holds the portal's refresh lock so concurrent invocations don't refresh twice -
+ * callers that find the lock taken wait for the other refresh and reuse its tokens, and callers
+ * that get the lock after another refresh finished reuse the tokens it saved
+ * @param {string} hub_id - Portal ID
+ * @param {string} refreshToken - Refresh token (falls back to HUBSPOT_REFRESH_TOKEN)
+ * @param {Object} [seenTokens] - The stored tokens the caller read before deciding to refresh
+ * @returns {Promise<Object>} The new token data
+ */
+const refreshAccessToken = async (hub_id, refreshToken, seenTokens) => {
+  const waitStartedAt = Date.now();
+  const lockToken = await acquireRefreshLock(hub_id);
+
+  if (!lockToken) {
+    logger.log('[REFRESH] Waiting for another invocation to refresh portal:', hub_id);
+    const refreshedTokens = await waitForRefreshedTokens(hub_id, waitStartedAt);
+
+    if (!refreshedTokens) {
+      throw new Error(`Timed out waiting for token refresh for portal ${hub_id}`);
+    }
+
+    return refreshedTokens;
+  }
+
+  try {
+    const storedTokens = await getTokens(hub_id);
+
+    // Another invocation may have refreshed (and released the lock) since the caller read its tokens
+    if (seenTokens && storedTokens && storedTokens.updatedAt > (seenTokens.updatedAt || 0) && !needsRefresh(storedTokens)) {
+      logger.log('[LOCK] Reusing tokens refreshed by another invocation for portal:', hub_id);
+      return storedTokens;
+    }
+
+    // Prefer the stored refresh token - it may have been rotated since the caller read it
+    const latestRefreshToken = (storedTokens && storedTokens.refreshToken) || refreshToken;
+
+    return await requestTokenRefresh(hub_id, latestRefreshToken, storedTokens || {});
+  } finally {
+    await releaseRefreshLock(hub_id, lockToken);
+  }
+};
+
+/**
+ * Looks up an access token's metadata (GET /oauth/v1/access-tokens/:token)
+ * @param {string} accessToken - Access token to introspect
+ * @returns {Promise<Object>} { hub_id, hub_domain, user, user_id, scopes, app_id, expires_in, ... }
+ */
+const introspectAccessToken = async (accessToken) => {
+  const response = await fetch(`${OAUTH_ACCESS_TOKENS_URL}/${encodeURIComponent(accessToken)}`);
+  const body = await parseResponseBody(response);
+
+  if (!response.ok) {
+    throw new Error(`Failed to introspect access token: ${(body && body.message) || response.statusText}`);
+  }
+
+  return body;
+};
+
+/**
+ * Revokes a refresh token with HubSpot (DELETE /oauth/v1/refresh-tokens/:token)
+ * A token HubSpot no longer recognises (e.g. the app was uninstalled) counts as revoked
+ * @param {string} refreshToken - Refresh token to revoke
+ * @returns {Promise<Object>} { revoked, status }
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const response = await fetch(`${OAUTH_REFRESH_TOKENS_URL}/${encodeURIComponent(refreshToken)}`, {
+    method: 'DELETE'
+  });
+
+  if (response.ok) {
+    logger.log('[OK] Refresh token revoked');
+    return { revoked: true, status: response.status };
+  }
+
+  if (response.status === 400 || response.status === 404) {
+    logger.log('[WARN] Refresh token was already invalid, status:', response.status);
+    return { revoked: true, status: response.status };
+  }
+
+  const body = await parseResponseBody(response);
+  logger.error('[ERROR] Failed to revoke refresh token:', response.status, body);
+  return { revoked: false, status: response.status };
+};
+
+// Current access token and region for a portal (with auto-refresh)
+// Records saved before regions were stored get theirs from the refresh token
+const getPortalCredentials = async (hub_id) => {
+  logger.log('[AUTH] Getting access token for portal:', hub_id);
+
+  try {
+    const tokens = await getTokens(hub_id);
+
+    if (tokens && tokens.accessToken) {
+      logger.log('   [OK] Found tokens in storage for portal:', hub_id);
+      const region = tokens.region || detectRegion(tokens.refreshToken);
+
+      // Check if token needs refresh
+      if (needsRefresh(tokens)) {
+        logger.log('   [REFRESH] Token expired or expiring soon, refreshing...');
+        const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken, tokens);
+        return { accessToken: newTokens.accessToken, region: newTokens.region || region };
+      }
+
+      return { accessToken: tokens.accessToken, region };
+    }
+  } catch (error) {
+    logger.log('   [WARN] Error accessing token storage:', error.message);
+  }
+
+  // Fallback to environment variables (single-tenant dev/test only)
+  if (process.env.HUBSPOT_ACCESS_TOKEN) {
+    logger.log('   [OK] Falling back to environment variable (single-tenant mode)');
+    return {
+      accessToken: process.env.HUBSPOT_ACCESS_TOKEN,
+      region: detectRegion(process.env.HUBSPOT_REFRESH_TOKEN)
+    };
+  }
+
+  logger.log('   [ERROR] No access token found for portal:', hub_id);
+  return null;
+};
+
+/**
+ * Gets the current access token for a portal (with auto-refresh)
+ * @param {string} hub_id - Portal ID
+ * @returns {Promise<string|null>} Access token or null if none is available
+ */
+const getAccessToken = async (hub_id) => {
+  const credentials = await getPortalCredentials(hub_id);
+  return credentials ? credentials.accessToken : null;
+};
+
+/**
+ * Reads a HubSpot response body as JSON when the content-type says so, otherwise as text
+ * @param {Response} response - node-fetch response
+ * @returns {Promise<Object|string>} Parsed body
+ */
+const parseResponseBody = async (response) => {
+  const contentType = response.headers.get('content-type');
+
+  if (contentType && contentType.includes('application/json')) {
+    return response.json();
+  }
+
+  return response.text();
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Works out how long to wait before retrying a 429 / 5xx response
+ * Retry-After wins; otherwise exponential backoff with full jitter, stretched to the
+ * X-HubSpot-RateLimit window when that window is used up
+ * @param {Response} response - node-fetch response
+ * @param {number} attempt - Number of retries already made
+ * @returns {number|null} Delay in ms, or null if retrying cannot help (daily limit reached)
+ */
+const getRetryDelay = (response, attempt) => {
+  const { headers } = response;
+
+  if (headers.get('x-hubspot-ratelimit-daily-remaining') === '0') {
+    return null;
+  }
+
+  const retryAfter = parseRetryAfter(headers.get('retry-after'));
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const backoff = Math.round(Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt));
+
+  if (response.status === 429) {
+    if (headers.get('x-hubspot-ratelimit-secondly-remaining') === '0') {
+      return Math.max(backoff, 1000);
+    }
+    if (headers.get('x-hubspot-ratelimit-remaining') === '0') {
+      const interval = parseInt(headers.get('x-hubspot-ratelimit-interval-milliseconds') || '0');
+      return Math.max(backoff, interval);
+    }
+  }
+
+  return backoff;
+};
+
+/**
+ * Creates a HubSpot API client bound to a portal
+ * The region stored with the portal's tokens wins; `region` is only used for portals without one
+ * @param {string} hub_id - Portal ID
+ * @param {string} region - Fallback HubSpot API region, e.g. the client's hubspotRegion - ignored unless its host is allowed
+ *   (see checkRegion; default: api-eu1.hubapi.com)
+ * @returns {Promise<Object|null>} Client, or null if no access token is available
+ */
+const createHubSpotClient = async (hub_id, region) => {
+  const credentials = await getPortalCredentials(hub_id);
+
+  if (!credentials) {
+    return null;
+  }
+
+  let { accessToken } = credentials;
+
+  if (credentials.region && region && resolveRegion(region) !== credentials.region) {
+    logger.log('[WARN] Ignoring requested region', region, '- portal', hub_id, 'is on', credentials.region);
+  }
+
+  // A client-supplied region is only used on allowed hosts - the portal's token goes wherever baseUrl points
+  let requestedRegion = region;
+  if (!credentials.region && region) {
+    const regionError = checkRegion(resolveRegion(region));
+    if (regionError) {
+      logger.warn('[WARN] Ignoring requested region for portal', hub_id, '-', regionError);
+      requestedRegion = undefined;
+    }
+  }
+
+  const baseUrl = resolveRegion(credentials.region || requestedRegion);
+  const deadline = Date.now() + RETRY_BUDGET_MS;
+  let totalRetries = 0;
+
+  const send = (url, options) => fetch(url, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+
+  /**
+   * Makes a HubSpot API call, retrying once on 401 with a token another invocation stored, or else a refreshed one
+   * 429 / 5xx responses are retried with backoff when the request is idempotent (GET, PUT, DELETE, ...)
+   * or marked `idempotent: true` (e.g. a search POST)
+   * @param {string} path - API path (e.g. /crm/v3/schemas)
+   * @param {Object} options - fetch options; a non-string body is sent as JSON
+   * @returns {Promise<Object>} { status, statusText, ok, headers, body, duration, retries }
+   */
+  const request = async (path, options = {}) => {
+    const url = `${baseUrl}${path}`;
+    const requestOptions = {
+      method: options.method || 'GET',
+      headers: options.headers || {}
+    };
+    const idempotent = options.idempotent !== undefined
+      ? options.idempotent
+      : IDEMPOTENT_METHODS.includes(requestOptions.method.toUpperCase());
+
+    if (options.body !== undefined && options.body !== null) {
+      requestOptions.body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+    }
+
+    const requestStart = Date.now();
+    const sentToken = accessToken;
+    let response = await send(url, requestOptions);
+
+    // If 401, try to refresh the token and retry once
+    if (response.status === 401) {
+      logger.log('[REFRESH] Received 401, attempting to refresh token for portal:', hub_id);
+      try {
+        const tokens = await getTokens(hub_id);
+        if (tokens && tokens.accessToken && tokens.accessToken !== sentToken) {
+          // Another invocation already refreshed - refreshing again would rotate the token under it
+          accessToken = tokens.accessToken;
+
+          response = await send(url, requestOptions);
+          logger.log('[HUBSPOT] Retry response with stored token:', response.status);
+        } else if (tokens && tokens.refreshToken) {
+          const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken, tokens);
+          accessToken = newTokens.accessToken;
+
+          response = await send(url, requestOptions);
+          logger.log('[HUBSPOT] Retry response after refresh:', response.status);
+        } else {
+          logger.error('[ERROR] No refresh token available for retry');
+        }
+      } catch (refreshError) {
+        logger.error('[ERROR] Token refresh failed:', refreshError.message);
+      }
+    }
+
+    // Back off on rate limits and server errors
+    let retries = 0;
+    while (idempotent && isRetryableStatus(response.status) && retries < MAX_RETRIES) {
+      const delay = getRetryDelay(response, retries);
+      if (delay === null || Date.now() + delay > deadline) {
+        logger.log('[RETRY] Not retrying', requestOptions.method, path, '- status', response.status,
+          delay === null ? '(daily rate limit reached)' : `(wait of ${delay}ms exceeds time budget)`);
+        break;
+      }
+
+      logger.log('[RETRY] HubSpot returned', response.status, 'for', requestOptions.method, path, '- retrying in', delay, 'ms', {
+        attempt: retries + 1,
+        secondlyRemaining: response.headers.get('x-hubspot-ratelimit-secondly-remaining'),
+        remaining: response.headers.get('x-hubspot-ratelimit-remaining')
+      });
+      await sleep(delay);
+      retries++;
+      response = await send(url, requestOptions);
+    }
+    totalRetries += retries;
+
+    const body = await parseResponseBody(response);
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      ok: response.ok,
+      headers: response.headers,
+      body,
+      duration: Date.now() - requestStart,
+      retries
+    };
+  };
+
+  return {
+    hub_id,
+    region: baseUrl,
+    request,
+    // Backoff retries made by this client so far (reported back to callers)
+    getRetryCount: () => totalRetries
+  };
+};
+
+module.exports = {
+  DEFAULT_REGION,
+  detectRegion,
+  resolveRegion,
+  checkRegion,
+  getAccessToken,
+  refreshAccessToken,
+  introspectAccessToken,
+  revokeRefreshToken,
+  parseResponseBody,
+  createHubSpotClient
+};
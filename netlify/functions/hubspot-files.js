@@ -0,0 +1,34 @@
+// HubSpot Files - Files API lookups shared by /get-file-metadata and /create-statement-record
+const logger = require('./logger');
+
+/**
+ * Fetches a file's metadata from the HubSpot Files API
+ * @param {Object} client - HubSpot client for the portal (see hubspot-client.js)
+ * @param {string} fileId - HubSpot file ID
+ * @returns {Promise<Object>} The client response ({ status, ok, body, duration, retries, ... }) - body is the metadata when ok
+ */
+const fetchFileMetadata = async (client, fileId) => {
+  // Construct HubSpot Files API path
+  const hubspotPath = `/files/v3/files/${fileId}`;
+
+  logger.log('[HUBSPOT] Fetching file metadata:', {
+    url: `${client.region}${hubspotPath}`,
+    fileId
+  });
+
+  // Make the request to HubSpot
+  const response = await client.request(hubspotPath, { method: 'GET' });
+
+  logger.log('[HUBSPOT] Response received:', {
+    status: response.status,
+    statusText: response.statusText,
+    ok: response.ok,
+    duration: response.duration
+  });
+
+  return response;
+};
+
+module.exports = {
+  fetchFileMetadata
+};
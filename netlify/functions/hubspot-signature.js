@@ -0,0 +1,197 @@
+// HubSpot Request Signature Verification (X-HubSpot-Signature-v3), plus admin key checks for operator endpoints
+// Requests made with hubspot.fetch() from our UI extension are signed by HubSpot with CLIENT_SECRET.
+// HubSpot appends portalId to the signed URL, so the verified portalId is the only hub_id we trust.
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// HubSpot rejects signatures older than 5 minutes - so do we
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+
+// Characters HubSpot decodes in the URI before signing
+const DECODED_URI_CHARACTERS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+};
+
+const getHeader = (headers, name) => {
+  if (!headers) {
+    return undefined;
+  }
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+};
+
+const decodeUri = (uri) => uri.replace(/%3A|%2F|%3F|%40|%21|%24|%27|%28|%29|%2A|%2C|%3B/gi, match => DECODED_URI_CHARACTERS[match.toUpperCase()]);
+
+// Full URL of the request as HubSpot called it
+const getRequestUrl = (event) => {
+  if (event.rawUrl) {
+    return event.rawUrl;
+  }
+
+  const host = getHeader(event.headers, 'x-forwarded-host') || getHeader(event.headers, 'host');
+  const query = event.rawQuery ? `?${event.rawQuery}` : '';
+  return `https://${host}${event.path}${query}`;
+};
+
+const getRawBody = (event) => {
+  if (!event.body) {
+    return '';
+  }
+  return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+};
+
+/**
+ * Verifies the X-HubSpot-Signature-v3 header of a request
+ * @param {Object} event - Netlify function event
+ * @returns {Object} { valid: true, hub_id } or { valid: false, reason } - hub_id is null if the URL has no portalId
+ */
+const verifyHubSpotSignature = (event) => {
+  const CLIENT_SECRET = process.env.CLIENT_SECRET;
+  if (!CLIENT_SECRET) {
+    return { valid: false, reason: 'Missing CLIENT_SECRET environment variable' };
+  }
+
+  const signature = getHeader(event.headers, 'x-hubspot-signature-v3');
+  const timestamp = getHeader(event.headers, 'x-hubspot-request-timestamp');
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Request is not signed by HubSpot' };
+  }
+
+  // Future timestamps are as suspect as old ones, so the window applies both ways
+  const age = Date.now() - parseInt(timestamp, 10);
+  if (!Number.isFinite(age) || Math.abs(age) > MAX_SIGNATURE_AGE_MS) {
+    return { valid: false, reason: 'Request signature has expired' };
+  }
+
+  const requestUrl = getRequestUrl(event);
+  const source = `${event.httpMethod}${decodeUri(requestUrl)}${getRawBody(event)}${timestamp}`;
+  const expected = crypto.createHmac('sha256', CLIENT_SECRET).update(source).digest('base64');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+    return { valid: false, reason: 'Request signature is invalid' };
+  }
+
+  // hubspot.fetch() requests carry portalId in the URL; webhook deliveries carry it in each event instead
+  const portalId = new URL(requestUrl).searchParams.get('portalId');
+
+  return { valid: true, hub_id: portalId };
+};
+
+/**
+ * Authenticates an API request and resolves the portal it is allowed to act on
+ * @param {Object} event - Netlify function event
+ * @param {Object} headers - Response headers (CORS) to use for error responses
+ * @param {string} claimedHubId - hub_id sent by the client (body or X-Hub-Id), optional
+ * @returns {Object} { hub_id } on success, or { errorResponse } to return as-is
+ */
+const authenticateRequest = (event, headers, claimedHubId) => {
+  // Local development only: `netlify dev` calls are not signed by HubSpot
+  const skipVerification = process.env.SKIP_SIGNATURE_VERIFICATION === 'true';
+  if (skipVerification && process.env.NETLIFY_DEV !== 'true') {
+    logger.warn('[WARN] SKIP_SIGNATURE_VERIFICATION is ignored outside netlify dev');
+  }
+
+  if (skipVerification && process.env.NETLIFY_DEV === 'true') {
+    logger.warn('[WARN] SKIP_SIGNATURE_VERIFICATION is enabled - trusting client-supplied hub_id');
+    if (!claimedHubId) {
+      return {
+        errorResponse: {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'hub_id is required when signature verification is disabled' })
+        }
+      };
+    }
+    return { hub_id: claimedHubId.toString() };
+  }
+
+  const result = verifyHubSpotSignature(event);
+
+  if (result.valid && !result.hub_id) {
+    result.valid = false;
+    result.reason = 'Signed request does not include a portalId';
+  }
+
+  if (!result.valid) {
+    logger.warn('[WARN] Rejected request:', result.reason);
+    return {
+      errorResponse: {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          error: 'Unauthorized',
+          message: result.reason,
+          hint: 'Call this endpoint with hubspot.fetch() from the Gathr HubSpot app'
+        })
+      }
+    };
+  }
+
+  if (claimedHubId && claimedHubId.toString() !== result.hub_id) {
+    logger.warn('[WARN] Rejected request: hub_id does not match signed portal', {
+      claimed: claimedHubId,
+      signed: result.hub_id
+    });
+    return {
+      errorResponse: {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          error: 'Forbidden',
+          message: 'hub_id does not match the portal that signed this request'
+        })
+      }
+    };
+  }
+
+  return { hub_id: result.hub_id };
+};
+
+/**
+ * Authenticates an operator request to an admin endpoint (acts on every portal, so it isn't
+ * HubSpot-signed) - requires `Authorization: Bearer <ADMIN_API_KEY>`
+ * @param {Object} event - Netlify function event
+ * @param {Object} headers - Response headers to use for error responses
+ * @returns {Object} {} on success, or { errorResponse } to return as-is
+ */
+const authenticateAdminRequest = (event, headers) => {
+  const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+  if (!ADMIN_API_KEY) {
+    logger.error('[ERROR] ADMIN_API_KEY is not configured - admin endpoints are disabled');
+    return {
+      errorResponse: {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({ error: 'Admin endpoints are disabled (ADMIN_API_KEY is not set)' })
+      }
+    };
+  }
+
+  const authorization = getHeader(event.headers, 'authorization') || '';
+  const provided = Buffer.from(authorization.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(ADMIN_API_KEY);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('[WARN] Rejected admin request: invalid or missing admin key');
+    return {
+      errorResponse: {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' })
+      }
+    };
+  }
+
+  return {};
+};
+
+module.exports = {
+  verifyHubSpotSignature,
+  authenticateRequest,
+  authenticateAdminRequest
+};
@@ -1,6 +1,9 @@
 // Step 1: Redirect user to HubSpot OAuth authorization URL
 
-exports.handler = async (event, context) => {
+const logger = require('./logger');
+const { createState } = require('./oauth-state');
+
+exports.handler = logger.withRequestLogging('install', async (event, context) => {
   const CLIENT_ID = process.env.CLIENT_ID;
   const REDIRECT_URI = process.env.REDIRECT_URI || `${process.env.URL}/oauth-callback`;
 
@@ -34,22 +37,46 @@ exports.handler = async (event, context) => {
     };
   }
 
-  console.log('=== Initiating OAuth 2.0 flow with HubSpot ===');
-  console.log("===> Step 1: Redirecting user to HubSpot's OAuth URL");
-  console.log(`Scopes: ${SCOPES}`);
+  // Signed, expiring state protects the callback from forged/replayed requests (CSRF)
+  // and carries where to send the user once installation completes. Its PKCE challenge
+  // ties the authorization code to this state (RFC 7636, S256)
+  const params = event.queryStringParameters || {};
+  let state;
+  let stateCookie;
+  let codeChallenge;
+  try {
+    ({ state, cookie: stateCookie, codeChallenge } = await createState({
+      returnTo: params.returnTo,
+      scopes: SCOPES.split(' ') // compared with the granted scopes in /oauth-callback
+    }));
+  } catch (error) {
+    logger.error('[ERROR] Failed to create OAuth state:', error.message);
+    return {
+      statusCode: 500,
+      body: 'Failed to start installation: ' + error.message
+    };
+  }
+
+  logger.log('=== Initiating OAuth 2.0 flow with HubSpot ===');
+  logger.log("===> Step 1: Redirecting user to HubSpot's OAuth URL");
+  logger.log(`Scopes: ${SCOPES}`);
 
   const authUrl =
     'https://app.hubspot.com/oauth/authorize' +
     `?client_id=${encodeURIComponent(CLIENT_ID)}` +
     `&scope=${encodeURIComponent(SCOPES)}` +
-    `&redirect_uri=${encodeURIComponent(REDIRECT_URI)}`;
+    `&redirect_uri=${encodeURIComponent(REDIRECT_URI)}` +
+    `&state=${encodeURIComponent(state)}` +
+    `&code_challenge=${encodeURIComponent(codeChallenge)}` +
+    '&code_challenge_method=S256';
 
   return {
     statusCode: 302,
     headers: {
       Location: authUrl,
+      'Set-Cookie': stateCookie,
       'Cache-Control': 'no-cache'
     },
     body: ''
   };
-};
+});
@@ -0,0 +1,300 @@
+// Logger - structured JSON logger that redacts secrets before anything reaches Netlify logs
+// Emits one JSON object per line with a level and the invocation's request ID, so a single UI
+// action can be traced across functions. Redacts OAuth tokens, client secrets, Authorization
+// headers and bank account numbers, both by object key (e.g. { refreshToken }) and by pattern
+// inside strings (e.g. "Bearer ...").
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REDACTED = '[REDACTED]';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Incoming headers that may carry a correlation ID, in order of preference
+const REQUEST_ID_HEADERS = ['x-request-id', 'x-correlation-id', 'x-nf-request-id'];
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+// Object keys whose values are always secret (compared lower-cased with '_' and '-' removed)
+const SECRET_KEYS = new Set([
+  'accesstoken',
+  'refreshtoken',
+  'token',
+  'clientsecret',
+  'secret',
+  'authorization',
+  'cookie',
+  'setcookie',
+  'password',
+  'apikey',
+  'codeverifier',
+  'xhubspotsignature',
+  'xhubspotsignaturev3'
+]);
+
+// Object keys holding bank account numbers - values are masked to their last 4 digits
+const ACCOUNT_NUMBER_KEYS = new Set([
+  'accountnumber',
+  'accountnumbers',
+  'accountnumbermap'
+]);
+
+// Secret patterns inside free text
+const SECRET_PATTERNS = [
+  // Authorization header values
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  // Form/query parameters carrying secrets (token exchange bodies, redirect URLs)
+  [/\b(access_token|refresh_token|client_secret|code_verifier|code)=[^&\s"']+/gi, `$1=${REDACTED}`],
+  // JSON fragments carrying secrets
+  [/"(access_token|refresh_token|accessToken|refreshToken|client_secret)"\s*:\s*"[^"]*"/g, `"$1":"${REDACTED}"`],
+  // HubSpot refresh tokens / private app tokens (e.g. na1-xxxx-..., pat-eu1-...)
+  [/\b(pat-)?(na|eu|ap)\d-[0-9a-f]{4}-[0-9a-f-]{20,}\b/gi, REDACTED],
+  // Long opaque token-like strings (HubSpot access tokens)
+  [/\bC[A-Za-z0-9_-]{60,}\b/g, REDACTED]
+];
+
+// Configured secrets are redacted verbatim wherever they appear
+const ENV_SECRETS = [
+  'CLIENT_SECRET',
+  'HUBSPOT_ACCESS_TOKEN',
+  'HUBSPOT_REFRESH_TOKEN',
+  'UPSTASH_REDIS_REST_TOKEN',
+  'TOKEN_ENCRYPTION_KEYS',
+  'OAUTH_STATE_SECRET',
+  'ADMIN_API_KEY'
+];
+
+const normaliseKey = (key) => String(key).toLowerCase().replace(/[_-]/g, '');
+
+const maskAccountNumber = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return REDACTED;
+  }
+
+  // Semicolon-separated lists are masked entry by entry
+  return String(value)
+    .split(';')
+    .map(entry => (entry.length > 4 ? '*'.repeat(entry.length - 4) + entry.slice(-4) : '****'))
+    .join(';');
+};
+
+const redactString = (value) => {
+  let result = value;
+
+  for (const name of ENV_SECRETS) {
+    const secret = process.env[name];
+    if (secret && secret.length >= 8) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  return result;
+};
+
+// Mask every leaf under an account-number key (handles arrays, Map entries and objects)
+const maskDeep = (value) => {
+  if (value instanceof Map) {
+    return maskDeep(Array.from(value.entries()));
+  }
+  if (Array.isArray(value)) {
+    return value.map(maskDeep);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskDeep(v)]));
+  }
+  return value === null || value === undefined ? value : maskAccountNumber(value);
+};
+
+/**
+ * Returns a copy of a value with secrets redacted (safe to pass to console.*)
+ * @param {*} value - Any value (string, object, Error, Map, ...)
+ * @returns {*} Redacted copy
+ */
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = new Error(redactString(value.message));
+    error.name = value.name;
+    error.stack = value.stack ? redactString(value.stack) : undefined;
+    return error;
+  }
+
+  if (value instanceof Map) {
+    return redact(Object.fromEntries(value), seen);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    const normalised = normaliseKey(key);
+
+    if (SECRET_KEYS.has(normalised)) {
+      copy[key] = item === null || item === undefined ? item : REDACTED;
+    } else if (ACCOUNT_NUMBER_KEYS.has(normalised)) {
+      copy[key] = maskDeep(item);
+    } else {
+      copy[key] = redact(item, seen);
+    }
+  }
+
+  return copy;
+};
+
+const currentLevel = () => LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+const serialiseError = (error) => ({
+  name: error.name,
+  message: error.message,
+  stack: error.stack
+});
+
+// Messages written with logger.log() keep their legacy [WARN]/[ERROR] prefixes - use them as the level
+const levelFromPrefix = (message) => {
+  if (/^\s*\[ERROR\]/.test(message)) return 'error';
+  if (/^\s*\[WARN\]/.test(message)) return 'warn';
+  return 'info';
+};
+
+/**
+ * Builds one log entry from console-style arguments
+ * Primitive arguments are joined into `message`; objects go into `data`, errors into `error`
+ */
+const buildEntry = (level, args) => {
+  const redacted = args.map(arg => redact(arg));
+  const words = [];
+  const data = [];
+  let error;
+
+  for (const arg of redacted) {
+    if (arg instanceof Error) {
+      error = serialiseError(arg);
+    } else if (arg !== null && typeof arg === 'object') {
+      data.push(arg);
+    } else {
+      words.push(String(arg));
+    }
+  }
+
+  const context = requestContext.getStore() || {};
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message: words.join(' ').trim(),
+    requestId: context.requestId,
+    function: context.functionName
+  };
+
+  if (data.length === 1) {
+    entry.data = data[0];
+  } else if (data.length > 1) {
+    entry.data = data;
+  }
+  if (error) {
+    entry.error = error;
+  }
+
+  return entry;
+};
+
+const write = (level) => (...args) => {
+  const resolvedLevel = level === 'log' ? levelFromPrefix(typeof args[0] === 'string' ? args[0] : '') : level;
+
+  if (LEVELS[resolvedLevel] < currentLevel()) {
+    return;
+  }
+
+  // Skip blank spacer lines left over from the old free-text logs
+  if (args.length === 0 || (args.length === 1 && args[0] === '')) {
+    return;
+  }
+
+  const line = JSON.stringify(buildEntry(resolvedLevel, args));
+  if (resolvedLevel === 'error') {
+    console.error(line);
+  } else if (resolvedLevel === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+};
+
+const headerValue = (headers, name) => {
+  if (!headers) {
+    return undefined;
+  }
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+};
+
+/**
+ * Gets the correlation ID for an incoming request (from its headers, or a new one)
+ * @param {Object} event - Netlify function event
+ * @returns {string} Request ID
+ */
+const resolveRequestId = (event) => {
+  for (const name of REQUEST_ID_HEADERS) {
+    const value = headerValue(event && event.headers, name);
+    if (value && REQUEST_ID_PATTERN.test(value)) {
+      return value;
+    }
+  }
+  return crypto.randomUUID();
+};
+
+/**
+ * Wraps a Netlify handler so every log line carries the invocation's request ID,
+ * and the ID is returned to the caller in the X-Request-Id response header
+ * @param {string} functionName - Name included in every log line
+ * @param {Function} handler - Netlify handler (event, context) => response
+ * @returns {Function} Wrapped handler
+ */
+const withRequestLogging = (functionName, handler) => async (event, context) => {
+  const requestId = resolveRequestId(event);
+
+  return requestContext.run({ requestId, functionName }, async () => {
+    const response = await handler(event, context);
+
+    if (response) {
+      response.headers = { ...(response.headers || {}), 'X-Request-Id': requestId };
+      if (response.headers['Access-Control-Allow-Origin']) {
+        const exposed = response.headers['Access-Control-Expose-Headers'];
+        response.headers['Access-Control-Expose-Headers'] = exposed ? `${exposed}, X-Request-Id` : 'X-Request-Id';
+      }
+    }
+
+    return response;
+  });
+};
+
+const getRequestId = () => (requestContext.getStore() || {}).requestId;
+
+module.exports = {
+  redact,
+  withRequestLogging,
+  getRequestId,
+  debug: write('debug'),
+  log: write('log'),
+  info: write('info'),
+  warn: write('warn'),
+  error: write('error')
+};
@@ -1,6 +1,223 @@
 // Step 3 & 4: Handle OAuth callback and exchange authorization code for tokens
 
 const fetch = require('node-fetch');
+const logger = require('./logger');
+const { saveTokens, getTokens } = require('./token-store');
+const { createHubSpotClient, introspectAccessToken, detectRegion } = require('./hubspot-client');
+const { ensureGathrStatementsSchema, provisionGathrStatementsSchema } = require('./create-schema');
+const {
+  verifyState,
+  clearStateCookie,
+  createInstallSession,
+  verifyInstallSession
+} = require('./oauth-state');
+
+// Needed for the "create it for me" / "fix it for me" actions on the completion page
+const SCHEMA_WRITE_SCOPE = 'crm.schemas.custom.write';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wraps page content in the shared layout used by every page this function renders
+const renderPage = (title, content) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        max-width: 600px;
+        margin: 50px auto;
+        padding: 20px;
+        text-align: center;
+      }
+      .error {
+        color: #dc2626;
+        background: #fee;
+        padding: 20px;
+        border-radius: 8px;
+        margin: 20px 0;
+      }
+      .info {
+        background: #f0f9ff;
+        border-left: 4px solid #0284c7;
+        padding: 15px;
+        margin: 20px 0;
+        text-align: left;
+      }
+      .cta {
+        display: inline-block;
+        background: #0ea5e9;
+        color: white;
+        padding: 12px 24px;
+        text-decoration: none;
+        border-radius: 6px;
+        margin-top: 20px;
+      }
+      .cta:hover {
+        background: #0284c7;
+      }
+      button.cta {
+        border: none;
+        font-size: 1em;
+        cursor: pointer;
+      }
+      .success {
+        color: #15803d;
+        background: #f0fdf4;
+        padding: 20px;
+        border-radius: 8px;
+        margin: 20px 0;
+      }
+    </style>
+  </head>
+  <body>
+    ${content}
+  </body>
+  </html>
+`;
+
+// Lists what differs from the canonical definition (see diffGathrStatementsSchema in create-schema.js)
+const renderSchemaDrift = (diff) => `
+  <ul>
+    ${diff.missingProperties.map(name => `<li>Missing property <code>${escapeHtml(name)}</code></li>`).join('')}
+    ${diff.mistypedProperties.map(p => `<li>Property <code>${escapeHtml(p.name)}</code> is ${escapeHtml(p.actual.fieldType)}, expected ${escapeHtml(p.expected.fieldType)} (fix manually in HubSpot)</li>`).join('')}
+    ${diff.missingAssociations.map(objectType => `<li>Not associated with ${escapeHtml(objectType)}</li>`).join('')}
+  </ul>
+`;
+
+// Gathr Statements status block for the completion page, with a "create/fix it for me" action when needed
+const renderSchemaStatus = ({ schemaResult, schemaError, scopes, sessionToken }) => {
+  let status;
+  let action;
+
+  if (schemaResult && schemaResult.migration) {
+    // After "create/fix it for me" (provisionGathrStatementsSchema report)
+    const report = schemaResult.migration;
+    const failures = [...report.failedProperties, ...report.failedAssociations];
+    status = `
+      <div class="${failures.length ? 'error' : 'success'}">
+        Gathr Statements object ${report.created ? 'created' : 'updated'} (${escapeHtml(report.objectTypeId)}).
+        ${report.addedProperties.length && !report.created ? `<br>Added properties: ${escapeHtml(report.addedProperties.join(', '))}` : ''}
+        ${report.addedAssociations.length && !report.created ? `<br>Added associations: ${escapeHtml(report.addedAssociations.join(', '))}` : ''}
+        ${failures.map(f => `<br>${escapeHtml(f.error)}`).join('')}
+      </div>`;
+    if (report.mistypedProperties.length) {
+      status += renderSchemaDrift({ missingProperties: [], mistypedProperties: report.mistypedProperties, missingAssociations: [] });
+    }
+    return status;
+  }
+
+  if (schemaResult && schemaResult.exists) {
+    const { diff } = schemaResult;
+    if (!diff || diff.inSync) {
+      return `<div class="success">Gathr Statements object found (${escapeHtml(schemaResult.objectTypeId)}).</div>`;
+    }
+
+    status = `<div class="error">The Gathr Statements object (${escapeHtml(schemaResult.objectTypeId)}) differs from what Gathr expects:</div>
+      ${renderSchemaDrift(diff)}`;
+
+    // Only additive changes can be applied automatically
+    if (diff.missingProperties.length === 0 && diff.missingAssociations.length === 0) {
+      return status;
+    }
+    action = 'Fix it for me';
+  } else {
+    status = schemaError
+      ? `<div class="error">Could not check or update the Gathr Statements object: ${escapeHtml(schemaError.message)}</div>`
+      : '<div class="error">The Gathr Statements custom object does not exist in this portal yet.</div>';
+    action = 'Create it for me';
+  }
+
+  // Without the write scope HubSpot would reject the change - say so instead of offering a button that fails
+  if (scopes && !scopes.includes(SCHEMA_WRITE_SCOPE)) {
+    return `${status}
+      <div class="info">
+        This needs the <code>${SCHEMA_WRITE_SCOPE}</code> scope, which this installation doesn't have.
+        Add it to <code>SCOPE</code> and reinstall, or update the object manually (see the README).
+      </div>`;
+  }
+
+  return `${status}
+    <form method="POST" action="/.netlify/functions/oauth-callback">
+      <input type="hidden" name="session" value="${escapeHtml(sessionToken)}">
+      <button type="submit" class="cta">${action}</button>
+    </form>`;
+};
+
+/**
+ * Renders the install completion page: connected portal, granted scopes and Gathr Statements status
+ * @param {Object} details - { hub_id, hubDomain, scopes, schemaResult, schemaError, returnTo }
+ * @returns {string} HTML page
+ */
+const renderCompletionPage = ({ hub_id, hubDomain, scopes, schemaResult, schemaError, returnTo }) => {
+  const continueUrl = returnTo || `https://app.hubspot.com/${hub_id}`;
+  const sessionToken = createInstallSession({ hub_id, returnTo });
+
+  return renderPage('Gathr Installed', `
+    <h2>Gathr is connected</h2>
+    <div class="info">
+      <p><strong>Portal:</strong> ${escapeHtml(hubDomain || hub_id)} (${escapeHtml(hub_id)})</p>
+      <p><strong>Granted scopes:</strong></p>
+      ${scopes
+        ? `<ul>${scopes.map(scope => `<li><code>${escapeHtml(scope)}</code></li>`).join('')}</ul>`
+        : '<p>Unknown (token introspection failed)</p>'}
+    </div>
+    <h3>Gathr Statements object</h3>
+    ${renderSchemaStatus({ schemaResult, schemaError, scopes, sessionToken })}
+    <p><a href="${escapeHtml(continueUrl)}" class="cta">Continue to HubSpot</a></p>
+  `);
+};
+
+// "Create/fix it for me" from the completion page - the install session token identifies the portal
+const handleCreateSchema = async (event) => {
+  const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+  const verification = verifyInstallSession(new URLSearchParams(rawBody).get('session'));
+
+  if (!verification.valid) {
+    logger.warn('[WARN] Rejected schema creation:', verification.reason);
+    return {
+      statusCode: 400,
+      headers: { 'Content-Type': 'text/html' },
+      body: `<h2>Error: This page has expired</h2><p>${escapeHtml(verification.reason)}.</p><p><a href="/.netlify/functions/install">Start a new installation</a></p>`
+    };
+  }
+
+  const { hub_id, returnTo } = verification.session;
+  logger.log('===> Provisioning Gathr Statements custom object for portal:', hub_id);
+
+  const tokens = await getTokens(hub_id);
+  let schemaResult = null;
+  let schemaError = null;
+  try {
+    const client = await createHubSpotClient(hub_id);
+    if (!client) {
+      throw new Error('No access token available for portal: ' + hub_id);
+    }
+    schemaResult = { migration: await provisionGathrStatementsSchema(client) };
+  } catch (error) {
+    schemaError = error;
+    logger.error('[ERROR] Failed to provision Gathr Statements schema:', error.message);
+  }
+
+  return {
+    statusCode: schemaError ? 502 : 200,
+    headers: { 'Content-Type': 'text/html' },
+    body: renderCompletionPage({
+      hub_id,
+      hubDomain: tokens && tokens.hubDomain,
+      scopes: tokens && tokens.scopes,
+      schemaResult,
+      schemaError,
+      returnTo
+    })
+  };
+};
 
 const exchangeForTokens = async (exchangeProof) => {
   try {
@@ -15,30 +232,34 @@ const exchangeForTokens = async (exchangeProof) => {
     const tokens = await response.json();
 
     if (!response.ok) {
-      console.error('Error exchanging authorization code:', tokens);
-      console.error('       > Status:', response.status);
-      console.error('       > Error type:', tokens.status || tokens.error);
-      console.error('       > Error description:', tokens.error_description || tokens.message);
+      logger.error('Error exchanging authorization code:', tokens);
+      logger.error('       > Status:', response.status);
+      logger.error('       > Error type:', tokens.status || tokens.error);
+      logger.error('       > Error description:', tokens.error_description || tokens.message);
 
       // Provide helpful message for common errors
       if (tokens.status === 'BAD_AUTH_CODE' || tokens.error === 'invalid_request') {
-        console.error('       > HINT: Authorization codes are single-use and expire quickly (5-10 minutes).');
-        console.error('       > If you refreshed the page or clicked back, you need to restart from /install');
+        logger.error('       > HINT: Authorization codes are single-use and expire quickly (5-10 minutes).');
+        logger.error('       > If you refreshed the page or clicked back, you need to restart from /install');
       }
 
       return { error: true, message: tokens.message || tokens.error_description || 'Token exchange failed' };
     }
 
-    console.log('       > Successfully exchanged authorization code for tokens');
+    logger.log('       > Successfully exchanged authorization code for tokens');
     return tokens;
   } catch (e) {
-    console.error('       > Error exchanging authorization code for access token:', e.message);
+    logger.error('       > Error exchanging authorization code for access token:', e.message);
     return { error: true, message: e.message };
   }
 };
 
-exports.handler = async (event, context) => {
-  console.log('===> Step 3: Handling the OAuth callback from HubSpot');
+exports.handler = logger.withRequestLogging('oauth-callback', async (event, context) => {
+  if (event.httpMethod === 'POST') {
+    return handleCreateSchema(event);
+  }
+
+  logger.log('===> Step 3: Handling the OAuth callback from HubSpot');
 
   const CLIENT_ID = process.env.CLIENT_ID;
   const CLIENT_SECRET = process.env.CLIENT_SECRET;
@@ -63,23 +284,38 @@ exports.handler = async (event, context) => {
     };
   }
 
+  // Reject callbacks that we didn't start (CSRF), that expired, or that were already used
+  const stateResult = await verifyState(params.state, event.headers);
+  if (!stateResult.valid) {
+    logger.warn('[WARN] Rejected OAuth callback:', stateResult.reason);
+    return {
+      statusCode: 400,
+      headers: {
+        'Content-Type': 'text/html',
+        'Set-Cookie': clearStateCookie()
+      },
+      body: `<h2>Error: Invalid installation request</h2><p>${stateResult.reason}.</p><p><a href="/.netlify/functions/install">Start a new installation</a></p>`
+    };
+  }
+
   const authCode = params.code;
-  console.log('       > Received authorization code (first 20 chars):', authCode.substring(0, 20) + '...');
+  logger.log('       > Received authorization code');
 
   const authCodeProof = {
     grant_type: 'authorization_code',
     client_id: CLIENT_ID,
     client_secret: CLIENT_SECRET,
     redirect_uri: REDIRECT_URI,
-    code: authCode
+    code: authCode,
+    code_verifier: stateResult.codeVerifier // PKCE - proves we started this authorization
   };
 
-  console.log('       > Token exchange parameters:');
-  console.log('         - client_id:', CLIENT_ID);
-  console.log('         - redirect_uri:', REDIRECT_URI);
+  logger.log('       > Token exchange parameters:');
+  logger.log('         - client_id:', CLIENT_ID);
+  logger.log('         - redirect_uri:', REDIRECT_URI);
 
   // Step 4: Exchange the authorization code for tokens
-  console.log('===> Step 4: Exchanging authorization code for access token and refresh token');
+  logger.log('===> Step 4: Exchanging authorization code for access token and refresh token');
   const tokens = await exchangeForTokens(authCodeProof);
 
   if (tokens.error) {
@@ -91,68 +327,25 @@ exports.handler = async (event, context) => {
     return {
       statusCode: 400,
       headers: { 'Content-Type': 'text/html' },
-      body: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>OAuth Error</title>
-          <style>
-            body {
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              max-width: 600px;
-              margin: 50px auto;
-              padding: 20px;
-              text-align: center;
-            }
-            .error {
-              color: #dc2626;
-              background: #fee;
-              padding: 20px;
-              border-radius: 8px;
-              margin: 20px 0;
-            }
-            .info {
-              background: #f0f9ff;
-              border-left: 4px solid #0284c7;
-              padding: 15px;
-              margin: 20px 0;
-              text-align: left;
-            }
-            .cta {
-              display: inline-block;
-              background: #0ea5e9;
-              color: white;
-              padding: 12px 24px;
-              text-decoration: none;
-              border-radius: 6px;
-              margin-top: 20px;
-            }
-            .cta:hover {
-              background: #0284c7;
-            }
-          </style>
-        </head>
-        <body>
-          <h2>OAuth Error</h2>
-          <div class="error">${tokens.message}</div>
-          ${isBadAuthCode ? `
-            <div class="info">
-              <h3>What happened?</h3>
-              <p>Authorization codes are single-use and expire within 5-10 minutes. This error typically occurs when:</p>
-              <ul style="text-align: left; margin: 10px 0;">
-                <li>The page was refreshed after the callback</li>
-                <li>The browser back button was used</li>
-                <li>The authorization code expired before use</li>
-                <li>You're testing the OAuth flow repeatedly</li>
-              </ul>
-            </div>
-            <a href="/.netlify/functions/install" class="cta">Start Fresh Installation</a>
-          ` : `
-            <p><a href="/.netlify/functions/install">Try installing again</a></p>
-          `}
-        </body>
-        </html>
-      `
+      body: renderPage('OAuth Error', `
+        <h2>OAuth Error</h2>
+        <div class="error">${escapeHtml(tokens.message)}</div>
+        ${isBadAuthCode ? `
+          <div class="info">
+            <h3>What happened?</h3>
+            <p>Authorization codes are single-use and expire within 5-10 minutes. This error typically occurs when:</p>
+            <ul style="text-align: left; margin: 10px 0;">
+              <li>The page was refreshed after the callback</li>
+              <li>The browser back button was used</li>
+              <li>The authorization code expired before use</li>
+              <li>You're testing the OAuth flow repeatedly</li>
+            </ul>
+          </div>
+          <a href="/.netlify/functions/install" class="cta">Start Fresh Installation</a>
+        ` : `
+          <p><a href="/.netlify/functions/install">Try installing again</a></p>
+        `}
+      `)
     };
   }
 
@@ -160,7 +353,7 @@ exports.handler = async (event, context) => {
   const hub_id = tokens.hub_id;
 
   if (!hub_id) {
-    console.error('[ERROR] No hub_id in token response - this should not happen!');
+    logger.error('[ERROR] No hub_id in token response - this should not happen!');
     return {
       statusCode: 500,
       headers: { 'Content-Type': 'text/html' },
@@ -168,52 +361,130 @@ exports.handler = async (event, context) => {
     };
   }
 
-  // Save tokens to cache and log for manual setup
-  console.log('===> [OK] OAuth tokens received successfully!');
-  console.log('       Portal ID:', hub_id);
-  console.log('       Access Token (first 10 chars):', tokens.access_token.substring(0, 10) + '...');
-  console.log('       Refresh Token (first 10 chars):', tokens.refresh_token.substring(0, 10) + '...');
-  console.log('       Expires in:', tokens.expires_in, 'seconds');
+  // Save tokens to persistent storage (tokens themselves are never logged)
+  logger.log('===> [OK] OAuth tokens received successfully!');
+  logger.log('       Portal ID:', hub_id);
+  logger.log('       Expires in:', tokens.expires_in, 'seconds');
 
-  const { saveTokens } = require('./token-store');
-  await saveTokens(hub_id, tokens);
+  // The refresh token says which data centre (na1, eu1, ...) the portal lives in
+  const region = detectRegion(tokens.refresh_token);
+  logger.log('       Region:', region || 'unknown (clients fall back to the requested/default region)');
 
-  console.log('');
-  console.log('[SETUP] For persistent storage, copy these tokens to your database keyed by hub_id:');
-  console.log('   Portal ID (hub_id):', hub_id);
-  console.log('   Access Token:', tokens.access_token);
-  console.log('   Refresh Token:', tokens.refresh_token);
-  console.log('');
+  // Look up what was actually granted - HubSpot may grant fewer scopes than we asked for
+  logger.log('===> Step 4b: Introspecting access token');
+  let tokenInfo = null;
+  try {
+    tokenInfo = await introspectAccessToken(tokens.access_token);
+    logger.log('       > Granted scopes:', tokenInfo.scopes);
+    logger.log('       > Hub domain:', tokenInfo.hub_domain);
+  } catch (error) {
+    logger.error('[WARN] Token introspection failed - granted scopes unknown:', error.message);
+  }
+
+  try {
+    await saveTokens(hub_id, {
+      ...tokens,
+      scopes: tokenInfo ? tokenInfo.scopes : undefined,
+      user: tokenInfo ? tokenInfo.user : undefined,
+      hub_domain: tokenInfo ? tokenInfo.hub_domain : undefined,
+      region
+    });
+  } catch (error) {
+    // Don't report "connected" for an install whose tokens weren't stored
+    logger.error('[ERROR] Failed to save tokens for portal:', hub_id, error.message);
+    return {
+      statusCode: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        'Set-Cookie': clearStateCookie()
+      },
+      body: renderPage('Installation Error', `
+        <h2>Gathr could not be connected</h2>
+        <div class="error">The app's credentials for this portal could not be stored.</div>
+        <div class="info">
+          <p>This is a configuration problem on the app's side (for example a missing TOKEN_ENCRYPTION_KEYS setting).
+          Please contact the Gathr team, then install again.</p>
+        </div>
+        <a href="/.netlify/functions/install" class="cta">Try installing again</a>
+      `)
+    };
+  }
+
+  const requestedScopes = stateResult.payload.scopes || [];
+  const missingScopes = tokenInfo
+    ? requestedScopes.filter(scope => !(tokenInfo.scopes || []).includes(scope))
+    : [];
+
+  if (missingScopes.length > 0) {
+    logger.warn('[WARN] Installation is missing requested scopes:', missingScopes);
+
+    const reinstallUrl = '/.netlify/functions/install' +
+      (stateResult.payload.returnTo ? `?returnTo=${encodeURIComponent(stateResult.payload.returnTo)}` : '');
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/html',
+        'Set-Cookie': clearStateCookie()
+      },
+      body: renderPage('Missing Permissions', `
+        <h2>Gathr is missing permissions</h2>
+        <div class="error">
+          Portal ${escapeHtml(tokenInfo.hub_domain || hub_id)} was connected without
+          ${missingScopes.length === 1 ? 'a required scope' : `${missingScopes.length} required scopes`}.
+        </div>
+        <div class="info">
+          <h3>Missing scopes</h3>
+          <ul>
+            ${missingScopes.map(scope => `<li><code>${escapeHtml(scope)}</code></li>`).join('')}
+          </ul>
+          <p>Features that need these scopes will fail until the app is reinstalled by a user who can grant them
+          (usually a Super Admin).</p>
+        </div>
+        <a href="${escapeHtml(reinstallUrl)}" class="cta">Reinstall and grant access</a>
+      `)
+    };
+  }
 
   // Check for Gathr Statements custom object during installation
-  console.log('===> Step 5: Checking for Gathr Statements custom object');
+  logger.log('===> Step 5: Checking for Gathr Statements custom object');
   let schemaResult = null;
   let schemaError = null;
   try {
-    const { ensureGathrStatementsSchema } = require('./create-schema');
-    schemaResult = await ensureGathrStatementsSchema(
-      hub_id,
-      'https://api.hubapi.com' // You can detect region from tokens if needed
-    );
+    // Uses the region saved with the tokens above
+    const client = await createHubSpotClient(hub_id);
+    if (!client) {
+      throw new Error('No access token available for portal: ' + hub_id);
+    }
+    schemaResult = await ensureGathrStatementsSchema(client);
 
     if (schemaResult.exists) {
-      console.log('[OK] Gathr Statements schema found:', {
+      logger.log('[OK] Gathr Statements schema found:', {
         objectTypeId: schemaResult.objectTypeId
       });
     } else {
-      console.log('[WARN] Gathr Statements schema not found - customer needs to create it manually');
+      logger.log('[WARN] Gathr Statements schema not found - offering to create it on the completion page');
     }
   } catch (error) {
     schemaError = error;
-    console.error('[WARN] Failed to check Gathr Statements schema:', error.message);
-    // Don't fail the entire OAuth flow - schema can be created manually
+    logger.error('[WARN] Failed to check Gathr Statements schema:', error.message);
+    // Don't fail the entire OAuth flow - the completion page reports it
   }
 
-  // Redirect back to HubSpot after successful OAuth installation
+  // Completion page - "Continue to HubSpot" goes to where the install started (validated when the state was created)
   return {
-    statusCode: 302,
+    statusCode: 200,
     headers: {
-      'Location': `https://app.hubspot.com/${hub_id}`
-    }
+      'Content-Type': 'text/html',
+      'Set-Cookie': clearStateCookie()
+    },
+    body: renderCompletionPage({
+      hub_id,
+      hubDomain: tokenInfo && tokenInfo.hub_domain,
+      scopes: tokenInfo && tokenInfo.scopes,
+      schemaResult,
+      schemaError,
+      returnTo: stateResult.payload.returnTo
+    })
   };
-};
+});
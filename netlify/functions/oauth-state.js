@@ -0,0 +1,205 @@
+// OAuth State - Signed, expiring, single-use state for the /install -> /oauth-callback round trip
+// The state is HMAC-signed (OAUTH_STATE_SECRET, falling back to CLIENT_SECRET), bound to the
+// browser that started the install via a cookie, and its nonce is consumed on first use so a
+// callback URL can't be replayed. Consuming the nonce needs a persistent backend (redis, file) -
+// with the env backend a state can be reused until it expires. It also carries the URL to return to after installation.
+// The PKCE code_verifier is derived from the state's nonce, so it survives the round trip
+// without being stored or exposed in the authorize URL.
+
+const crypto = require('crypto');
+const { getBackend } = require('./token-backends');
+const logger = require('./logger');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const STATE_COOKIE = 'gathr_oauth_state';
+const INSTALL_SESSION_TTL_MS = 30 * 60 * 1000;
+
+// Only HubSpot app URLs may be used as a return-to destination (prevents open redirects)
+const ALLOWED_RETURN_HOST = /^app(-[a-z]{2,3}\d)?\.hubspot\.com$/;
+
+const getStateSecret = () => {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.CLIENT_SECRET;
+  if (!secret) {
+    throw new Error('Missing OAUTH_STATE_SECRET or CLIENT_SECRET environment variable');
+  }
+  return secret;
+};
+
+const sign = (encodedPayload) => crypto
+  .createHmac('sha256', getStateSecret())
+  .update(encodedPayload)
+  .digest('base64url');
+
+// payload -> "base64url(JSON).signature"
+const encodeSigned = (payload) => {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+};
+
+// "base64url(JSON).signature" -> { payload } if the signature matches and it hasn't expired, else { reason }
+const decodeSigned = (value) => {
+  if (typeof value !== 'string' || !value.includes('.')) {
+    return { reason: 'Missing state parameter' };
+  }
+
+  const [encodedPayload, signature] = value.split('.');
+  // Compare byte lengths - a multibyte character can match the string length but not the buffer's
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(sign(encodedPayload));
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return { reason: 'Invalid state signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { reason: 'Malformed state' };
+  }
+
+  if (!payload.exp || Date.now() > payload.exp) {
+    return { reason: 'Installation link has expired' };
+  }
+
+  return { payload };
+};
+
+// PKCE code_verifier for a state nonce (43 base64url chars, RFC 7636)
+const deriveCodeVerifier = (nonce) => crypto
+  .createHmac('sha256', getStateSecret())
+  .update(`pkce:${nonce}`)
+  .digest('base64url');
+
+const toCodeChallenge = (codeVerifier) => crypto
+  .createHash('sha256')
+  .update(codeVerifier)
+  .digest('base64url');
+
+/**
+ * Validates a return-to URL (must be an https HubSpot app URL)
+ * @param {string} returnTo - Requested return URL
+ * @returns {string|null} The URL if allowed, otherwise null
+ */
+const sanitizeReturnTo = (returnTo) => {
+  if (!returnTo) {
+    return null;
+  }
+
+  try {
+    const url = new URL(returnTo);
+    if (url.protocol === 'https:' && ALLOWED_RETURN_HOST.test(url.hostname)) {
+      return url.toString();
+    }
+  } catch (error) {
+    // Not an absolute URL - fall through
+  }
+
+  logger.warn('[WARN] Ignoring disallowed returnTo URL:', returnTo);
+  return null;
+};
+
+/**
+ * Creates a signed state value for the authorize URL
+ * @param {Object} options - { returnTo, ...extra fields carried through the round trip }
+ * @returns {Promise<Object>} { state, cookie, codeChallenge } - cookie is a Set-Cookie header value,
+ *   codeChallenge is the S256 PKCE challenge for the authorize URL
+ */
+const createState = async ({ returnTo, ...extra } = {}) => {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const payload = {
+    ...extra,
+    nonce,
+    exp: Date.now() + STATE_TTL_MS,
+    returnTo: sanitizeReturnTo(returnTo)
+  };
+
+  const state = encodeSigned(payload);
+
+  // Remember the nonce so the callback can be accepted exactly once
+  const backend = getBackend();
+  if (backend.persistent) {
+    await backend.set(`oauth-state:${nonce}`, { createdAt: Date.now() }, { ttlMs: STATE_TTL_MS });
+  }
+
+  const cookie = `${STATE_COOKIE}=${nonce}; Path=/; Max-Age=${STATE_TTL_MS / 1000}; HttpOnly; Secure; SameSite=Lax`;
+
+  return { state, cookie, codeChallenge: toCodeChallenge(deriveCodeVerifier(nonce)) };
+};
+
+const readCookie = (headers, name) => {
+  const cookieHeader = headers && (headers.cookie || headers.Cookie);
+  if (!cookieHeader) {
+    return null;
+  }
+
+  const match = cookieHeader.split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return match ? match.substring(name.length + 1) : null;
+};
+
+/**
+ * Verifies the state returned to /oauth-callback and consumes it
+ * @param {string} state - state query parameter
+ * @param {Object} headers - Request headers (for the state cookie)
+ * @returns {Promise<Object>} { valid: true, payload, codeVerifier } or { valid: false, reason }
+ */
+const verifyState = async (state, headers) => {
+  const { payload, reason } = decodeSigned(state);
+  if (!payload) {
+    return { valid: false, reason };
+  }
+
+  if (readCookie(headers, STATE_COOKIE) !== payload.nonce) {
+    return { valid: false, reason: 'State does not belong to this browser session' };
+  }
+
+  // Without a persistent backend there is nowhere to consume the nonce - only expiry and the cookie apply
+  const backend = getBackend();
+  if (backend.persistent) {
+    const key = `oauth-state:${payload.nonce}`;
+    const stored = await backend.get(key);
+    if (!stored) {
+      return { valid: false, reason: 'State has already been used' };
+    }
+    await backend.delete(key);
+  }
+
+  return { valid: true, payload, codeVerifier: deriveCodeVerifier(payload.nonce) };
+};
+
+/**
+ * Creates a short-lived token for follow-up actions on the install completion page
+ * (e.g. creating the Gathr Statements object), proving the holder just installed this portal
+ * @param {Object} session - { hub_id, returnTo }
+ * @returns {string} Signed session token
+ */
+const createInstallSession = ({ hub_id, returnTo }) => encodeSigned({
+  purpose: 'install-session',
+  hub_id: hub_id.toString(),
+  returnTo: returnTo || null,
+  exp: Date.now() + INSTALL_SESSION_TTL_MS
+});
+
+/**
+ * Verifies an install session token
+ * @param {string} token - Token from createInstallSession()
+ * @returns {Object} { valid: true, session } or { valid: false, reason }
+ */
+const verifyInstallSession = (token) => {
+  const { payload, reason } = decodeSigned(token);
+  if (!payload || payload.purpose !== 'install-session') {
+    return { valid: false, reason: reason || 'Malformed install session' };
+  }
+  return { valid: true, session: payload };
+};
+
+// Set-Cookie value that clears the state cookie after the callback
+const clearStateCookie = () => `${STATE_COOKIE}=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Lax`;
+
+module.exports = {
+  createState,
+  verifyState,
+  clearStateCookie,
+  createInstallSession,
+  verifyInstallSession,
+  sanitizeReturnTo
+};
@@ -0,0 +1,96 @@
+// Provision Gathr Statements Schema
+// Creates the Gathr Statements custom object if it is missing, or adds any missing properties
+// to an existing one, and reports what changed
+
+const { createHubSpotClient } = require('./hubspot-client');
+const { authenticateRequest } = require('./hubspot-signature');
+const { applyRateLimit } = require('./rate-limit');
+const { provisionGathrStatementsSchema } = require('./create-schema');
+const logger = require('./logger');
+
+exports.handler = logger.withRequestLogging('provision-schema', async (event, context) => {
+  logger.log('[PROVISION] Provision Schema Function Invoked');
+
+  // Enable CORS
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Request-Id',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    logger.log('   Handling OPTIONS preflight request');
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only accept POST requests
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed. Use POST.' })
+    };
+  }
+
+  try {
+    // Parse request body
+    const body = event.body ? JSON.parse(event.body) : {};
+
+    // MULTI-TENANT: hub_id comes from the verified HubSpot signature - a body hub_id must match it
+    const auth = authenticateRequest(event, headers, body.hub_id);
+    if (auth.errorResponse) {
+      return auth.errorResponse;
+    }
+    const { hub_id } = auth;
+
+    const rateLimit = await applyRateLimit(hub_id, headers);
+    if (rateLimit.errorResponse) {
+      return rateLimit.errorResponse;
+    }
+
+    const { hubspotRegion } = body;
+
+    logger.log('[REQUEST] Provision schema request:', { hubspotRegion, hub_id });
+
+    // Get a HubSpot client for this specific portal
+    const client = await createHubSpotClient(hub_id, hubspotRegion);
+
+    if (!client) {
+      logger.error('[ERROR] No access token available');
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          error: 'No access token available. Please authenticate first.',
+          needsAuth: true
+        })
+      };
+    }
+
+    const report = await provisionGathrStatementsSchema(client);
+
+    logger.log('[OK] Provisioning finished:', report);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: report.failedProperties.length === 0 && report.failedAssociations.length === 0,
+        ...report,
+        retries: client.getRetryCount()
+      })
+    };
+  } catch (error) {
+    logger.error('[ERROR] Error in Provision Schema Function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message
+      })
+    };
+  }
+});
@@ -0,0 +1,67 @@
+// Proxy Allow-List - which HubSpot hosts, paths and methods /hubspot-proxy will forward to
+// The proxy attaches the portal's bearer token, so anything not listed here is refused rather than relayed.
+//
+// Configured per deployment:
+//   PROXY_ALLOWED_HOSTS  - comma-separated API hosts (e.g. "api.hubapi.com,api-eu1.hubapi.com"),
+//                          checked for every client in hubspot-client.js (see checkRegion)
+//   PROXY_ALLOWED_ROUTES - semicolon-separated "METHODS /path/pattern" entries, where METHODS is a
+//                          comma-separated list and `*` in the pattern matches any characters
+//                          (e.g. "GET,PATCH /crm/v3/objects/*; GET /files/v3/files/*")
+
+const { checkRegion } = require('./hubspot-client');
+
+const DEFAULT_ALLOWED_ROUTES = [
+  'GET,PATCH /crm/v3/objects/*',
+  'POST /crm/v3/objects/*/search',
+  'GET /files/v3/files/*'
+].join(';');
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// "GET,PATCH /crm/v3/objects/*" -> { methods: ['GET', 'PATCH'], pattern, regex }
+const parseRoute = (entry) => {
+  const [methods, pattern] = entry.trim().split(/\s+/);
+  if (!methods || !pattern || !pattern.startsWith('/')) {
+    throw new Error(`Invalid PROXY_ALLOWED_ROUTES entry: "${entry.trim()}" (expected "METHODS /path/pattern")`);
+  }
+  return {
+    methods: methods.split(',').map(m => m.trim().toUpperCase()).filter(Boolean),
+    pattern,
+    regex: new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`)
+  };
+};
+
+const getAllowedRoutes = () => (process.env.PROXY_ALLOWED_ROUTES || DEFAULT_ALLOWED_ROUTES)
+  .split(';')
+  .filter(entry => entry.trim())
+  .map(parseRoute);
+
+/**
+ * Checks a proxy request against the deployment's allow-list
+ * @param {Object} request - { method, path, region } (path as sent in X-Requested-Path, may include a query)
+ * @returns {Object} { allowed: true } or { allowed: false, reason }
+ */
+const checkProxyRequest = ({ method, path, region }) => {
+  const regionError = checkRegion(region);
+  if (regionError) {
+    return { allowed: false, reason: regionError };
+  }
+
+  const [pathname] = path.split('?');
+
+  // Only plain absolute paths - no traversal, backslashes or protocol-relative tricks
+  if (!pathname.startsWith('/') || pathname.startsWith('//') || /\\|(^|\/)\.\.?(\/|$)|%2e|%2f|%5c/i.test(pathname)) {
+    return { allowed: false, reason: `Path ${pathname} is not a plain HubSpot API path` };
+  }
+
+  const route = getAllowedRoutes().find(r => r.regex.test(pathname) && r.methods.includes(method.toUpperCase()));
+  if (!route) {
+    return { allowed: false, reason: `${method.toUpperCase()} ${pathname} is not on the proxy allow-list` };
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  checkProxyRequest
+};
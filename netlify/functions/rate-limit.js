@@ -0,0 +1,70 @@
+// Rate Limiting - per-portal token bucket shared by every function
+// Stops one tenant (or a card polling in a loop) from using up the app's HubSpot quota for everyone.
+// Buckets live in the token storage backend under `ratelimit:{hub_id}`; the env backend never limits.
+
+const { getBackend } = require('./token-backends');
+const logger = require('./logger');
+
+// Burst size and sustained rate per portal (RATE_LIMIT_CAPACITY=0 turns limiting off)
+const RATE_LIMIT_CAPACITY = parseInt(process.env.RATE_LIMIT_CAPACITY || '60');
+const RATE_LIMIT_REFILL_PER_SECOND = parseFloat(process.env.RATE_LIMIT_REFILL_PER_SECOND || '1');
+
+const RATE_LIMIT_HEADERS = ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After'];
+
+// Let browser callers read the rate-limit headers (keeps any headers the function already exposes)
+const exposeRateLimitHeaders = (headers) => {
+  const exposed = (headers['Access-Control-Expose-Headers'] || '').split(',').map(h => h.trim()).filter(Boolean);
+  headers['Access-Control-Expose-Headers'] = Array.from(new Set([...exposed, ...RATE_LIMIT_HEADERS])).join(', ');
+};
+
+/**
+ * Takes one request from the portal's bucket and adds the X-RateLimit-* headers to `headers`
+ * (the handler's shared headers object, so every later response carries them)
+ * Storage errors are logged and the request is let through
+ * @param {string} hub_id - Portal ID (from authenticateRequest)
+ * @param {Object} headers - Response headers for this invocation (mutated)
+ * @returns {Promise<Object>} {} when allowed, or { errorResponse } (429) to return as-is
+ */
+const applyRateLimit = async (hub_id, headers) => {
+  if (RATE_LIMIT_CAPACITY <= 0) {
+    return {};
+  }
+
+  const limits = { capacity: RATE_LIMIT_CAPACITY, refillPerMs: RATE_LIMIT_REFILL_PER_SECOND / 1000 };
+
+  let result;
+  try {
+    result = await getBackend().takeToken(`ratelimit:${hub_id}`, limits);
+  } catch (error) {
+    logger.warn('[WARN] Rate limit check failed for portal', hub_id, '- allowing request:', error.message);
+    return {};
+  }
+
+  exposeRateLimitHeaders(headers);
+  headers['X-RateLimit-Limit'] = String(RATE_LIMIT_CAPACITY);
+  headers['X-RateLimit-Remaining'] = String(Math.floor(result.tokens));
+  headers['X-RateLimit-Reset'] = String(Math.ceil((RATE_LIMIT_CAPACITY - result.tokens) / limits.refillPerMs / 1000));
+
+  if (result.allowed) {
+    return {};
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((1 - result.tokens) / limits.refillPerMs / 1000));
+  logger.warn('[WARN] Rate limit exceeded for portal', hub_id, '- retry after', retryAfter, 's');
+
+  return {
+    errorResponse: {
+      statusCode: 429,
+      headers: { ...headers, 'Retry-After': String(retryAfter) },
+      body: JSON.stringify({
+        error: 'Too many requests',
+        message: `Rate limit of ${RATE_LIMIT_CAPACITY} requests (refilling at ${RATE_LIMIT_REFILL_PER_SECOND}/s) exceeded for this portal`,
+        retryAfter
+      })
+    }
+  };
+};
+
+module.exports = {
+  applyRateLimit
+};
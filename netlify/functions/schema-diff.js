@@ -0,0 +1,127 @@
+// Gathr Statements Schema Diff
+// Compares the portal's Gathr Statements object with the canonical definition in create-schema.js
+// and, with { "apply": true }, adds missing properties and associations (additive migrations only)
+
+const { createHubSpotClient } = require('./hubspot-client');
+const { authenticateRequest } = require('./hubspot-signature');
+const { applyRateLimit } = require('./rate-limit');
+const { LATEST_SCHEMA_VERSION, getExistingSchema, diffGathrStatementsSchema, applySchemaMigrations, recordSchemaVersion } = require('./create-schema');
+const logger = require('./logger');
+
+exports.handler = logger.withRequestLogging('schema-diff', async (event, context) => {
+  logger.log('[SCHEMA DIFF] Schema Diff Function Invoked');
+
+  // Enable CORS
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Request-Id',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight requests
+  if (event.httpMethod === 'OPTIONS') {
+    logger.log('   Handling OPTIONS preflight request');
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only accept POST requests
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed. Use POST.' })
+    };
+  }
+
+  try {
+    // Parse request body
+    const body = event.body ? JSON.parse(event.body) : {};
+
+    // MULTI-TENANT: hub_id comes from the verified HubSpot signature - a body hub_id must match it
+    const auth = authenticateRequest(event, headers, body.hub_id);
+    if (auth.errorResponse) {
+      return auth.errorResponse;
+    }
+    const { hub_id } = auth;
+
+    const rateLimit = await applyRateLimit(hub_id, headers);
+    if (rateLimit.errorResponse) {
+      return rateLimit.errorResponse;
+    }
+
+    const { hubspotRegion } = body;
+    const apply = body.apply === true;
+
+    logger.log('[REQUEST] Schema diff request:', { hubspotRegion, hub_id, apply });
+
+    // Get a HubSpot client for this specific portal
+    const client = await createHubSpotClient(hub_id, hubspotRegion);
+
+    if (!client) {
+      logger.error('[ERROR] No access token available');
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          error: 'No access token available. Please authenticate first.',
+          needsAuth: true
+        })
+      };
+    }
+
+    const schema = await getExistingSchema(client);
+
+    if (!schema) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          exists: false,
+          error: 'Gathr Statements custom object not found',
+          hint: 'Call /provision-schema to create it'
+        })
+      };
+    }
+
+    const diff = diffGathrStatementsSchema(schema);
+    logger.log('[SCHEMA DIFF] Diff:', diff);
+
+    const response = {
+      exists: true,
+      objectTypeId: schema.objectTypeId,
+      diff
+    };
+
+    if (apply) {
+      if (!diff.inSync) {
+        response.migration = await applySchemaMigrations(client, schema.objectTypeId, diff);
+        logger.log('[OK] Migration applied:', response.migration);
+      }
+
+      // Same as /provision-schema: the portal is at the latest version once nothing failed
+      const { migration } = response;
+      if (!migration || (migration.failedProperties.length === 0 && migration.failedAssociations.length === 0)) {
+        await recordSchemaVersion(hub_id, LATEST_SCHEMA_VERSION, schema.objectTypeId);
+      }
+    }
+
+    response.retries = client.getRetryCount();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    logger.error('[ERROR] Error in Schema Diff Function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message
+      })
+    };
+  }
+});
@@ -0,0 +1,280 @@
+// Token storage backends - key/value stores behind a common interface
+//
+// Every backend implements:
+//   get(key)                       -> value or null
+//   set(key, value, { ttlMs })     -> stores a JSON-serialisable value (optional expiry)
+//   delete(key)                    -> removes the key
+//   list(prefix)                   -> keys starting with prefix
+//   acquireLock(key, ttlMs)        -> lock token, or null if someone else holds the lock
+//   releaseLock(key, lockToken)    -> releases the lock if lockToken still owns it
+//   takeToken(key, { capacity, refillPerMs })
+//                                  -> { allowed, tokens } - atomically takes one token from a token bucket
+//
+// Backends: 'redis' (Upstash REST API), 'file' (local JSON file for netlify dev/tests), 'env' (no persistence)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const logger = require('./logger');
+
+// Refill a token bucket for the time since it was last touched, then try to take one token
+const takeFromBucket = (bucket, { capacity, refillPerMs }, now) => {
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  const tokens = bucket ? Math.min(capacity, bucket.tokens + elapsed * refillPerMs) : capacity;
+  const allowed = tokens >= 1;
+  return { allowed, tokens: allowed ? tokens - 1 : tokens };
+};
+
+// Time for an empty bucket to fill up again - the bucket can expire after that
+const bucketTtlMs = ({ capacity, refillPerMs }) => Math.ceil(capacity / refillPerMs);
+
+// Token bucket in a Redis hash - refilled and decremented in one script so concurrent invocations can't overspend
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return { allowed, tostring(tokens) }
+`;
+
+// Redis backend (using Upstash REST API - no additional packages needed)
+const createRedisBackend = ({ url, token }) => {
+  // Run a single Redis command (e.g. ['SET', 'key', 'value', 'NX'])
+  const command = async (args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Redis ${args[0]} failed: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.result;
+  };
+
+  return {
+    name: 'redis',
+    persistent: true,
+
+    get: async (key) => {
+      const result = await command(['GET', key]);
+      if (!result) {
+        return null;
+      }
+      return typeof result === 'string' ? JSON.parse(result) : result;
+    },
+
+    set: async (key, value, { ttlMs } = {}) => {
+      const args = ['SET', key, JSON.stringify(value)];
+      if (ttlMs) {
+        args.push('PX', String(ttlMs));
+      }
+      await command(args);
+    },
+
+    delete: async (key) => {
+      await command(['DEL', key]);
+    },
+
+    list: async (prefix) => {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [nextCursor, batch] = await command(['SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', '100']);
+        keys.push(...batch);
+        cursor = String(nextCursor);
+      } while (cursor !== '0');
+      return keys;
+    },
+
+    acquireLock: async (key, ttlMs) => {
+      const lockToken = crypto.randomUUID();
+      const result = await command(['SET', key, lockToken, 'NX', 'PX', String(ttlMs)]);
+      return result === 'OK' ? lockToken : null;
+    },
+
+    releaseLock: async (key, lockToken) => {
+      await command([
+        'EVAL',
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        '1',
+        key,
+        lockToken
+      ]);
+    },
+
+    takeToken: async (key, limits) => {
+      const [allowed, tokens] = await command([
+        'EVAL',
+        TAKE_TOKEN_SCRIPT,
+        '1',
+        key,
+        String(limits.capacity),
+        String(limits.refillPerMs),
+        String(Date.now()),
+        String(bucketTtlMs(limits))
+      ]);
+      return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+    }
+  };
+};
+
+// File backend - a single JSON file, for local development and tests (single process only)
+const createFileBackend = ({ filePath }) => {
+  const read = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  };
+
+  // Write to a temp file and rename so a crash never leaves a half-written store
+  const write = (entries) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entries, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const liveEntries = () => {
+    const entries = read();
+    const now = Date.now();
+    for (const key of Object.keys(entries)) {
+      if (entries[key].expiresAt && entries[key].expiresAt <= now) {
+        delete entries[key];
+      }
+    }
+    return entries;
+  };
+
+  return {
+    name: 'file',
+    persistent: true,
+    allowPlaintext: true,
+
+    get: async (key) => {
+      const entry = liveEntries()[key];
+      return entry ? entry.value : null;
+    },
+
+    set: async (key, value, { ttlMs } = {}) => {
+      const entries = liveEntries();
+      entries[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      write(entries);
+    },
+
+    delete: async (key) => {
+      const entries = liveEntries();
+      delete entries[key];
+      write(entries);
+    },
+
+    list: async (prefix) => {
+      return Object.keys(liveEntries()).filter(key => key.startsWith(prefix));
+    },
+
+    acquireLock: async (key, ttlMs) => {
+      const entries = liveEntries();
+      if (entries[key]) {
+        return null;
+      }
+      const lockToken = crypto.randomUUID();
+      entries[key] = { value: lockToken, expiresAt: Date.now() + ttlMs };
+      write(entries);
+      return lockToken;
+    },
+
+    releaseLock: async (key, lockToken) => {
+      const entries = liveEntries();
+      if (entries[key] && entries[key].value === lockToken) {
+        delete entries[key];
+        write(entries);
+      }
+    },
+
+    takeToken: async (key, limits) => {
+      const entries = liveEntries();
+      const now = Date.now();
+      const result = takeFromBucket(entries[key] && entries[key].value, limits, now);
+      entries[key] = { value: { tokens: result.tokens, updatedAt: now }, expiresAt: now + bucketTtlMs(limits) };
+      write(entries);
+      return result;
+    }
+  };
+};
+
+// Env backend - no persistent storage; tokens come from HUBSPOT_* environment variables
+const createEnvBackend = () => ({
+  name: 'env',
+  persistent: false,
+  get: async () => null,
+  set: async () => {},
+  delete: async () => {},
+  list: async () => [],
+  // Nothing to coordinate with - every invocation owns its own lock
+  acquireLock: async () => crypto.randomUUID(),
+  releaseLock: async () => {},
+  // No shared state to count requests in - never limits
+  takeToken: async (key, { capacity }) => ({ allowed: true, tokens: capacity })
+});
+
+let cachedBackend = null;
+
+/**
+ * Returns the configured storage backend (TOKEN_STORAGE_BACKEND: 'redis', 'file' or 'env')
+ * Falls back to 'env' if the selected backend is missing its configuration
+ * @returns {Object} Storage backend
+ */
+const getBackend = () => {
+  if (cachedBackend) {
+    return cachedBackend;
+  }
+
+  const selected = process.env.TOKEN_STORAGE_BACKEND || 'env';
+
+  if (selected === 'redis') {
+    const url = process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.UPSTASH_REDIS_REST_TOKEN;
+
+    if (url && token) {
+      cachedBackend = createRedisBackend({ url, token });
+    } else {
+      logger.log('[WARN] Redis backend selected but UPSTASH_REDIS_REST_URL/UPSTASH_REDIS_REST_TOKEN are missing - using env backend');
+    }
+  } else if (selected === 'file') {
+    const filePath = path.resolve(process.env.TOKEN_STORE_FILE || '.netlify/token-store.json');
+    cachedBackend = createFileBackend({ filePath });
+  } else if (selected !== 'env') {
+    logger.log('[WARN] Unknown TOKEN_STORAGE_BACKEND:', selected, '- using env backend');
+  }
+
+  cachedBackend = cachedBackend || createEnvBackend();
+  return cachedBackend;
+};
+
+module.exports = {
+  getBackend,
+  createRedisBackend,
+  createFileBackend,
+  createEnvBackend
+};
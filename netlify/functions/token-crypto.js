@@ -0,0 +1,113 @@
+// Token encryption - AES-256-GCM envelope encryption for tokens at rest
+// Each record gets its own data key, which is wrapped with a master key from TOKEN_ENCRYPTION_KEYS.
+// Records are tagged with the master key ID so keys can be rotated without breaking older records.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Parses TOKEN_ENCRYPTION_KEYS ("keyId:base64Key,olderKeyId:base64Key")
+ * The first key encrypts new records; all keys can decrypt.
+ * @returns {Array<{id: string, key: Buffer}>} Master keys, current key first
+ */
+const loadMasterKeys = () => {
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS || '';
+
+  return raw
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS entries must be formatted as keyId:base64Key');
+      }
+
+      const id = entry.substring(0, separator);
+      const key = Buffer.from(entry.substring(separator + 1), 'base64');
+      if (key.length !== 32) {
+        throw new Error(`Encryption key "${id}" must be 32 bytes (base64-encoded)`);
+      }
+
+      return { id, key };
+    });
+};
+
+const isEncryptionConfigured = () => loadMasterKeys().length > 0;
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(sealed.ciphertext, 'base64')),
+    decipher.final()
+  ]);
+};
+
+/**
+ * Encrypts a token payload for storage
+ * @param {string} hub_id - Portal ID (bound into the ciphertext so records can't be swapped between portals)
+ * @param {Object} tokenData - Token payload to encrypt
+ * @returns {Object} Envelope: { encrypted, v, kid, key, data }
+ */
+const encryptTokenData = (hub_id, tokenData) => {
+  const [currentKey] = loadMasterKeys();
+  if (!currentKey) {
+    throw new Error('Token encryption key missing: TOKEN_ENCRYPTION_KEYS is required');
+  }
+
+  const aad = Buffer.from(`tokens:${hub_id}`);
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    encrypted: true,
+    v: ENVELOPE_VERSION,
+    kid: currentKey.id,
+    key: seal(currentKey.key, dataKey, aad),
+    data: seal(dataKey, Buffer.from(JSON.stringify(tokenData)), aad)
+  };
+};
+
+/**
+ * Decrypts a stored token payload (plaintext legacy records are returned unchanged)
+ * @param {string} hub_id - Portal ID the record was stored under
+ * @param {Object} record - Stored record
+ * @returns {Object} Token payload
+ */
+const decryptTokenData = (hub_id, record) => {
+  if (!record || !record.encrypted) {
+    return record;
+  }
+
+  const masterKey = loadMasterKeys().find(k => k.id === record.kid);
+  if (!masterKey) {
+    throw new Error(`Token encryption key "${record.kid}" not found in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  const aad = Buffer.from(`tokens:${hub_id}`);
+  const dataKey = open(masterKey.key, record.key, aad);
+
+  return JSON.parse(open(dataKey, record.data, aad).toString('utf8'));
+};
+
+module.exports = {
+  isEncryptionConfigured,
+  encryptTokenData,
+  decryptTokenData
+};
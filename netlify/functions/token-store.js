@@ -1,66 +1,30 @@
 // Token storage - Multi-tenant token storage by hub_id
-// Supports multiple storage backends: Redis (Upstash), Environment Variables
-const fetch = require('node-fetch');
+// Storage is delegated to a pluggable backend (see token-backends.js): Redis (Upstash), local file, or env
+const crypto = require('crypto');
+const { getBackend } = require('./token-backends');
+const { isEncryptionConfigured, encryptTokenData, decryptTokenData } = require('./token-crypto');
+const logger = require('./logger');
 
-// Storage backend configuration
-const STORAGE_BACKEND = process.env.TOKEN_STORAGE_BACKEND || 'env'; // 'redis' or 'env'
-const REDIS_URL = process.env.UPSTASH_REDIS_REST_URL;
-const REDIS_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
+// Refresh lock configuration (only coordinates across invocations on shared backends)
+const REFRESH_LOCK_TTL_MS = parseInt(process.env.TOKEN_REFRESH_LOCK_TTL_MS || '10000');
+// Longer than a function can run, so a crashed invocation's lock always expires first
+const IDEMPOTENCY_LOCK_TTL_MS = 30000;
+// How long a failed association stays queued for repair (see create-statement-record.js)
+const ASSOCIATION_REPAIR_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REFRESH_LOCK_POLL_MS = 250;
 
-// Redis storage functions (using Upstash REST API - no additional packages needed)
-const saveToRedis = async (hub_id, tokenData) => {
-  if (!REDIS_URL || !REDIS_TOKEN) {
-    throw new Error('Redis configuration missing: UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN required');
-  }
-
-  const response = await fetch(`${REDIS_URL}/set/tokens:${hub_id}`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${REDIS_TOKEN}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(tokenData)
-  });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  if (!response.ok) {
-    throw new Error(`Redis SET failed: ${response.statusText}`);
-  }
-
-  console.log('[OK] Tokens saved to Redis for portal:', hub_id);
-};
-
-const getFromRedis = async (hub_id) => {
-  if (!REDIS_URL || !REDIS_TOKEN) {
-    return null;
-  }
-
-  try {
-    const response = await fetch(`${REDIS_URL}/get/tokens:${hub_id}`, {
-      headers: {
-        'Authorization': `Bearer ${REDIS_TOKEN}`
-      }
-    });
-
-    if (!response.ok) {
-      return null;
-    }
-
-    const data = await response.json();
-    if (data.result) {
-      const tokenData = typeof data.result === 'string' ? JSON.parse(data.result) : data.result;
-      console.log('[OK] Tokens loaded from Redis for portal:', hub_id);
-      console.log('   Stored:', Math.round((Date.now() - tokenData.updatedAt) / 1000), 'seconds ago');
-      return tokenData;
-    }
-
-    return null;
-  } catch (error) {
-    console.log('[WARN] Error reading from Redis:', error.message);
-    return null;
+// Encrypt unless the backend is local-only and no key has been configured
+const sealTokenData = (backend, hub_id, tokenData) => {
+  if (backend.allowPlaintext && !isEncryptionConfigured()) {
+    return tokenData;
   }
+  return encryptTokenData(hub_id, tokenData);
 };
 
 // Save tokens (supports multiple backends)
+// Throws if a persistent backend needs encryption and TOKEN_ENCRYPTION_KEYS is not set
 const saveTokens = async (hub_id, tokens) => {
   if (!hub_id) {
     throw new Error('[STORE] hub_id is required for saving tokens');
@@ -71,35 +35,46 @@ const saveTokens = async (hub_id, tokens) => {
     accessToken: tokens.accessToken || tokens.access_token,
     refreshToken: tokens.refreshToken || tokens.refresh_token,
     expiresAt: tokens.expiresAt || (Date.now() + ((tokens.expires_in || 21600) * 1000)),
+    // Install metadata from token introspection (see oauth-callback.js)
+    scopes: tokens.scopes,
+    user: tokens.user,
+    hubDomain: tokens.hubDomain || tokens.hub_domain,
+    // API region (e.g. https://api-eu1.hubapi.com), detected from the refresh token (see hubspot-client.js)
+    region: tokens.region,
     updatedAt: Date.now()
   };
 
-  console.log('[STORE] Saving tokens for portal:', hub_id);
-  console.log('   Access token (first 10 chars):', tokenData.accessToken.substring(0, 10) + '...');
-  console.log('   Expires at:', new Date(tokenData.expiresAt).toISOString());
-  console.log('   Storage backend:', STORAGE_BACKEND);
+  const backend = getBackend();
 
-  // Try Redis first if configured
-  if (STORAGE_BACKEND === 'redis' && REDIS_URL && REDIS_TOKEN) {
+  logger.log('[STORE] Saving tokens for portal:', hub_id);
+  logger.log('   Expires at:', new Date(tokenData.expiresAt).toISOString());
+  logger.log('   Storage backend:', backend.name);
+
+  // Fail closed - a shared backend never gets plaintext tokens, and quietly not saving them
+  // would leave the install looking connected until the function restarts
+  if (backend.persistent && !backend.allowPlaintext && !isEncryptionConfigured()) {
+    throw new Error(`Token encryption key missing: TOKEN_ENCRYPTION_KEYS is required to save tokens to ${backend.name} storage`);
+  }
+
+  if (backend.persistent) {
     try {
-      await saveToRedis(hub_id, tokenData);
+      // Tokens are encrypted before they reach the backend (see token-crypto.js)
+      await backend.set(`tokens:${hub_id}`, sealTokenData(backend, hub_id, tokenData));
+      logger.log('[OK] Tokens saved to', backend.name, 'storage for portal:', hub_id);
       return tokenData;
     } catch (error) {
-      console.error('[ERROR] Failed to save to Redis:', error.message);
-      console.log('[WARN] Tokens saved in memory only (will be lost on function restart)');
+      logger.error('[ERROR] Failed to save to', backend.name, 'storage:', error.message);
+      logger.log('[WARN] Tokens saved in memory only (will be lost on function restart)');
     }
   }
 
   // Fallback: Log instructions for manual storage
-  console.log('[WARN] No persistent storage configured - tokens will be lost on function restart');
-  console.log('[INFO] To enable persistent storage, set these environment variables:');
-  console.log('   TOKEN_STORAGE_BACKEND=redis');
-  console.log('   UPSTASH_REDIS_REST_URL=<your-redis-url>');
-  console.log('   UPSTASH_REDIS_REST_TOKEN=<your-redis-token>');
-  console.log('[INFO] Or manually set these environment variables for single-portal:');
-  console.log('   HUBSPOT_PORTAL_ID=' + hub_id);
-  console.log('   HUBSPOT_ACCESS_TOKEN=' + tokenData.accessToken);
-  console.log('   HUBSPOT_REFRESH_TOKEN=' + tokenData.refreshToken);
+  logger.log('[WARN] No persistent storage configured - tokens will be lost on function restart');
+  logger.log('[INFO] To enable persistent storage, set these environment variables:');
+  logger.log('   TOKEN_STORAGE_BACKEND=redis (or TOKEN_STORAGE_BACKEND=file for local development)');
+  logger.log('   UPSTASH_REDIS_REST_URL=<your-redis-url>');
+  logger.log('   UPSTASH_REDIS_REST_TOKEN=<your-redis-token>');
+  logger.log('[INFO] Tokens are never written to logs - configure a storage backend to keep them for portal:', hub_id);
 
   return tokenData;
 };
@@ -107,15 +82,34 @@ const saveTokens = async (hub_id, tokens) => {
 // Get tokens (checks multiple sources in order)
 const getTokens = async (hub_id) => {
   if (!hub_id) {
-    console.log('[ERROR] hub_id is required to retrieve tokens');
+    logger.log('[ERROR] hub_id is required to retrieve tokens');
     return null;
   }
 
-  // 1. Try Redis if configured
-  if (STORAGE_BACKEND === 'redis' && REDIS_URL && REDIS_TOKEN) {
-    const tokens = await getFromRedis(hub_id);
-    if (tokens) {
-      return tokens;
+  const backend = getBackend();
+
+  // 1. Try the storage backend
+  if (backend.persistent) {
+    let record = null;
+    try {
+      record = await backend.get(`tokens:${hub_id}`);
+    } catch (error) {
+      logger.log('[WARN] Error reading from', backend.name, 'storage:', error.message);
+    }
+
+    if (record) {
+      logger.log('[OK] Tokens loaded from', backend.name, 'storage for portal:', hub_id);
+      if (!record.encrypted && !backend.allowPlaintext) {
+        logger.log('[WARN] Tokens for portal', hub_id, 'are stored unencrypted - they will be encrypted on next save');
+      }
+
+      try {
+        const tokens = decryptTokenData(hub_id, record);
+        logger.log('   Stored:', Math.round((Date.now() - tokens.updatedAt) / 1000), 'seconds ago');
+        return tokens;
+      } catch (error) {
+        logger.error('[ERROR] Failed to decrypt tokens for portal:', hub_id, error.message);
+      }
     }
   }
 
@@ -135,24 +129,157 @@ const getTokens = async (hub_id) => {
         updatedAt: Date.now()
       };
 
-      console.log('[OK] Tokens loaded from environment variables for portal:', hub_id);
-      console.log('   Env Portal ID:', tokens.hub_id);
-      console.log('   Expires at:', new Date(tokens.expiresAt).toISOString());
+      logger.log('[OK] Tokens loaded from environment variables for portal:', hub_id);
+      logger.log('   Env Portal ID:', tokens.hub_id);
+      logger.log('   Expires at:', new Date(tokens.expiresAt).toISOString());
       return tokens;
     } else {
-      console.log('[WARN] Environment tokens do not match requested portal');
-      console.log('   Requested:', hub_id);
-      console.log('   Env portal:', envPortalId || 'not set');
+      logger.log('[WARN] Environment tokens do not match requested portal');
+      logger.log('   Requested:', hub_id);
+      logger.log('   Env portal:', envPortalId || 'not set');
     }
   }
 
-  console.log('[ERROR] No tokens found for portal:', hub_id);
-  console.log('   Storage backend:', STORAGE_BACKEND);
-  console.log('   Redis configured:', REDIS_URL ? 'yes' : 'no');
-  console.log('   Environment portal ID:', process.env.HUBSPOT_PORTAL_ID || 'not set');
+  logger.log('[ERROR] No tokens found for portal:', hub_id);
+  logger.log('   Storage backend:', backend.name);
+  logger.log('   Environment portal ID:', process.env.HUBSPOT_PORTAL_ID || 'not set');
   return null;
 };
 
+// Delete a portal's stored tokens, schema version record, cached lookups and queued repairs (disconnect / uninstall)
+// Returns true if a token record was removed from persistent storage
+const deleteTokens = async (hub_id) => {
+  if (!hub_id) {
+    throw new Error('[STORE] hub_id is required for deleting tokens');
+  }
+
+  const backend = getBackend();
+
+  if (process.env.HUBSPOT_PORTAL_ID && process.env.HUBSPOT_PORTAL_ID === hub_id.toString()) {
+    logger.log('[WARN] Portal', hub_id, 'also has HUBSPOT_* environment tokens - remove them from the site settings');
+  }
+
+  if (!backend.persistent) {
+    logger.log('[WARN] No persistent storage configured - nothing to delete for portal:', hub_id);
+    return false;
+  }
+
+  const existing = await backend.get(`tokens:${hub_id}`);
+  await backend.delete(`tokens:${hub_id}`);
+  await backend.delete(`schema:${hub_id}`);
+  for (const key of [...await backend.list(`cache:${hub_id}:`), ...await backend.list(`repair:${hub_id}:`)]) {
+    await backend.delete(key);
+  }
+  logger.log('[OK] Tokens deleted from', backend.name, 'storage for portal:', hub_id);
+
+  return Boolean(existing);
+};
+
+// List the hub_ids of every portal with stored tokens
+const listConnectedPortals = async () => {
+  const backend = getBackend();
+
+  if (!backend.persistent) {
+    // Single-portal env mode: the only connected portal is the configured one
+    return process.env.HUBSPOT_PORTAL_ID ? [process.env.HUBSPOT_PORTAL_ID] : [];
+  }
+
+  const keys = await backend.list('tokens:');
+  return keys.map(key => key.substring('tokens:'.length));
+};
+
+// Get the Gathr Statements schema version applied to a portal
+// Returns { version, objectTypeId, updatedAt, history } or null if never recorded
+const getSchemaVersion = async (hub_id) => {
+  const backend = getBackend();
+  if (!backend.persistent) {
+    return null;
+  }
+  return backend.get(`schema:${hub_id}`);
+};
+
+// Record that a portal's Gathr Statements object is now at `version` (appends to its migration history)
+const saveSchemaVersion = async (hub_id, { version, objectTypeId }) => {
+  const backend = getBackend();
+  if (!backend.persistent) {
+    logger.log('[WARN] No persistent storage configured - schema version not recorded for portal:', hub_id);
+    return null;
+  }
+
+  const previous = await backend.get(`schema:${hub_id}`);
+  const history = (previous && previous.history) || [];
+  const record = {
+    version,
+    objectTypeId,
+    updatedAt: Date.now(),
+    history: previous && previous.version === version
+      ? history
+      : [...history, { from: previous ? previous.version : null, version, appliedAt: Date.now() }]
+  };
+
+  await backend.set(`schema:${hub_id}`, record);
+  logger.log('[STORE] Schema version', version, 'recorded for portal:', hub_id);
+  return record;
+};
+
+// Associations that failed after their record was created and the record couldn't be deleted
+// Queued under repair:{hub_id}:{token} so the client can retry just the association with the token
+// Returns the repair token, or null if there is no persistent storage to queue it in
+const queueAssociationRepair = async (hub_id, entry) => {
+  const backend = getBackend();
+  if (!backend.persistent) {
+    logger.log('[WARN] No persistent storage configured - association repair not queued for portal:', hub_id);
+    return null;
+  }
+
+  const repairToken = crypto.randomUUID();
+  try {
+    await backend.set(`repair:${hub_id}:${repairToken}`, { ...entry, queuedAt: Date.now() }, { ttlMs: ASSOCIATION_REPAIR_TTL_MS });
+    logger.log('[STORE] Queued association repair for portal:', hub_id, entry.recordId);
+    return repairToken;
+  } catch (error) {
+    logger.error('[ERROR] Failed to queue association repair for portal:', hub_id, error.message);
+    return null;
+  }
+};
+
+const getAssociationRepair = async (hub_id, repairToken) => {
+  const backend = getBackend();
+  return backend.persistent ? backend.get(`repair:${hub_id}:${repairToken}`) : null;
+};
+
+const deleteAssociationRepair = async (hub_id, repairToken) => {
+  await getBackend().delete(`repair:${hub_id}:${repairToken}`);
+};
+
+// Per-portal cache for HubSpot lookups that rarely change (e.g. the Gathr Statements objectTypeId)
+// Cache failures are logged and treated as a miss - the caller just asks HubSpot again
+const getCachedValue = async (hub_id, name) => {
+  try {
+    const entry = await getBackend().get(`cache:${hub_id}:${name}`);
+    return entry ? entry.value : null;
+  } catch (error) {
+    logger.log('[WARN] Cache read failed for portal', hub_id, name, error.message);
+    return null;
+  }
+};
+
+const setCachedValue = async (hub_id, name, value, ttlMs) => {
+  try {
+    await getBackend().set(`cache:${hub_id}:${name}`, { value, cachedAt: Date.now() }, { ttlMs });
+  } catch (error) {
+    logger.log('[WARN] Cache write failed for portal', hub_id, name, error.message);
+  }
+};
+
+const deleteCachedValue = async (hub_id, name) => {
+  try {
+    await getBackend().delete(`cache:${hub_id}:${name}`);
+  } catch (error) {
+    logger.log('[WARN] Cache delete failed for portal', hub_id, name, error.message);
+  }
+};
+
 // Check if token needs refresh (refresh 5 minutes before expiry)
 const needsRefresh = (tokens) => {
   if (!tokens || !tokens.expiresAt) return true;
@@ -160,8 +287,96 @@ const needsRefresh = (tokens) => {
   return Date.now() > (tokens.expiresAt - fiveMinutes);
 };
 
+// Acquire the per-portal refresh lock (Redis: SET NX with TTL)
+// Returns a lock token, or null if another invocation is already refreshing this portal
+const acquireRefreshLock = async (hub_id) => {
+  try {
+    const lockToken = await getBackend().acquireLock(`lock:refresh:${hub_id}`, REFRESH_LOCK_TTL_MS);
+
+    if (lockToken) {
+      logger.log('[LOCK] Acquired refresh lock for portal:', hub_id);
+      return lockToken;
+    }
+
+    logger.log('[LOCK] Refresh already in progress for portal:', hub_id);
+    return null;
+  } catch (error) {
+    // Don't block token refresh if the backend is unavailable
+    logger.log('[WARN] Could not acquire refresh lock, refreshing without it:', error.message);
+    return crypto.randomUUID();
+  }
+};
+
+// Release the refresh lock, but only if we still own it (it may have expired and been re-acquired)
+const releaseRefreshLock = async (hub_id, lockToken) => {
+  if (!lockToken) {
+    return;
+  }
+
+  try {
+    await getBackend().releaseLock(`lock:refresh:${hub_id}`, lockToken);
+    logger.log('[LOCK] Released refresh lock for portal:', hub_id);
+  } catch (error) {
+    logger.log('[WARN] Could not release refresh lock (it will expire):', error.message);
+  }
+};
+
+// Lock one idempotent operation (e.g. a create-statement-record request) so a retry that arrives
+// while the original is still running waits instead of repeating it. Returns null if it is held.
+const acquireIdempotencyLock = async (hub_id, name) => {
+  try {
+    return await getBackend().acquireLock(`lock:${hub_id}:${name}`, IDEMPOTENCY_LOCK_TTL_MS);
+  } catch (error) {
+    // Don't block the request if the backend is unavailable
+    logger.log('[WARN] Could not acquire idempotency lock, continuing without it:', error.message);
+    return crypto.randomUUID();
+  }
+};
+
+const releaseIdempotencyLock = async (hub_id, name, lockToken) => {
+  try {
+    await getBackend().releaseLock(`lock:${hub_id}:${name}`, lockToken);
+  } catch (error) {
+    logger.log('[WARN] Could not release idempotency lock (it will expire):', error.message);
+  }
+};
+
+// Wait for the invocation holding the refresh lock to store new tokens, then return them
+// Returns null if nothing fresher than `since` was stored before the lock TTL ran out
+const waitForRefreshedTokens = async (hub_id, since) => {
+  const deadline = Date.now() + REFRESH_LOCK_TTL_MS;
+
+  while (Date.now() < deadline) {
+    await sleep(REFRESH_LOCK_POLL_MS);
+
+    const tokens = await getTokens(hub_id);
+    if (tokens && tokens.updatedAt >= since && !needsRefresh(tokens)) {
+      logger.log('[LOCK] Picked up tokens refreshed by another invocation for portal:', hub_id);
+      return tokens;
+    }
+  }
+
+  logger.log('[WARN] Timed out waiting for token refresh for portal:', hub_id);
+  return null;
+};
+
 module.exports = {
   saveTokens,
   getTokens,
-  needsRefresh
+  deleteTokens,
+  listConnectedPortals,
+  getSchemaVersion,
+  saveSchemaVersion,
+  queueAssociationRepair,
+  getAssociationRepair,
+  deleteAssociationRepair,
+  getCachedValue,
+  setCachedValue,
+  deleteCachedValue,
+  needsRefresh,
+  acquireRefreshLock,
+  releaseRefreshLock,
+  acquireIdempotencyLock,
+  releaseIdempotencyLock,
+  waitForRefreshedTokens
 };
@@ -2,127 +2,26 @@
 // This endpoint centralizes the business logic for updating statement records
 // Uses stored OAuth token from the proxy
 
-const fetch = require('node-fetch');
-const { getTokens, needsRefresh } = require('./token-store');
+const { createHubSpotClient } = require('./hubspot-client');
+const { authenticateRequest } = require('./hubspot-signature');
+const { applyRateLimit } = require('./rate-limit');
+const { getGathrStatementsObjectTypeId, invalidateGathrStatementsObjectTypeId } = require('./create-schema');
+const logger = require('./logger');
 
-// Get the current access token (with auto-refresh)
-// MULTI-TENANT: Requires hub_id to retrieve the correct portal's tokens
-const getAccessToken = async (hub_id) => {
-  console.log('[AUTH] Getting access token for portal:', hub_id);
-
-  try {
-    const tokens = await getTokens(hub_id);
-
-    if (tokens && tokens.accessToken) {
-      console.log('   [OK] Found tokens in storage for portal:', hub_id);
-
-      // Check if token needs refresh
-      if (needsRefresh(tokens)) {
-        console.log('   [REFRESH] Token expired or expiring soon, refreshing...');
-        const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken);
-        return newTokens.accessToken;
-      }
-
-      return tokens.accessToken;
-    }
-  } catch (error) {
-    console.log('   [WARN] Error accessing token storage:', error.message);
-  }
-
-  // Fallback to environment variables (single-tenant dev/test only)
-  if (process.env.HUBSPOT_ACCESS_TOKEN) {
-    console.log('   [OK] Falling back to environment variable (single-tenant mode)');
-    return process.env.HUBSPOT_ACCESS_TOKEN;
-  }
-
-  console.log('   [ERROR] No access token found for portal:', hub_id);
-  return null;
-};
-
-// Refresh token helper (duplicated from hubspot-proxy for independence)
-// MULTI-TENANT: Requires hub_id to save the refreshed tokens for the correct portal
-const refreshAccessToken = async (hub_id, refreshToken) => {
-  console.log('[REFRESH] Refreshing access token for portal:', hub_id);
-
-  const CLIENT_ID = process.env.CLIENT_ID;
-  const CLIENT_SECRET = process.env.CLIENT_SECRET;
-
-  const tokenToUse = refreshToken || process.env.HUBSPOT_REFRESH_TOKEN;
-
-  if (!tokenToUse) {
-    throw new Error('No refresh token available');
-  }
-
-  if (!CLIENT_ID || !CLIENT_SECRET) {
-    throw new Error('Missing CLIENT_ID or CLIENT_SECRET environment variables');
-  }
-
-  const response = await fetch('https://api.hubapi.com/oauth/v1/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      grant_type: 'refresh_token',
-      client_id: CLIENT_ID,
-      client_secret: CLIENT_SECRET,
-      refresh_token: tokenToUse
-    }).toString()
-  });
-
-  const tokens = await response.json();
-
-  if (!response.ok) {
-    console.error('[ERROR] Token refresh failed:', tokens);
-    throw new Error(`Failed to refresh token: ${tokens.message || response.statusText}`);
-  }
-
-  // CRITICAL: Validate that the refreshed token belongs to the requested portal
-  const actualHubId = tokens.hub_id ? tokens.hub_id.toString() : null;
-  const requestedHubId = hub_id ? hub_id.toString() : null;
-
-  if (actualHubId && requestedHubId && actualHubId !== requestedHubId) {
-    console.error('[ERROR] Token hub_id mismatch!');
-    console.error('   Requested portal:', requestedHubId);
-    console.error('   Token belongs to:', actualHubId);
-    throw new Error(
-      `Token mismatch: Your cached/env tokens belong to portal ${actualHubId}, but you're trying to access portal ${requestedHubId}. ` +
-      `Please complete OAuth installation for portal ${requestedHubId}.`
-    );
-  }
-
-  console.log('[OK] Token refreshed successfully for portal:', actualHubId || hub_id);
-
-  const { saveTokens } = require('./token-store');
-  const newTokenData = {
-    hub_id: actualHubId || hub_id,
-    accessToken: tokens.access_token,
-    refreshToken: tokens.refresh_token || tokenToUse,
-    expiresAt: Date.now() + (tokens.expires_in * 1000)
-  };
-
-  try {
-    await saveTokens(actualHubId || hub_id, newTokenData);
-    console.log('   [OK] New tokens saved to storage for portal:', actualHubId || hub_id);
-  } catch (error) {
-    console.error('   [WARN] Failed to save refreshed tokens:', error.message);
-  }
-
-  return newTokenData;
-};
-
-exports.handler = async (event, context) => {
-  console.log('[UPDATE RECORD] Update Statement Record Function Invoked');
+exports.handler = logger.withRequestLogging('update-statement-record', async (event, context) => {
+  logger.log('[UPDATE RECORD] Update Statement Record Function Invoked');
 
   // Enable CORS
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Request-Id',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Content-Type': 'application/json'
   };
 
   // Handle preflight requests
   if (event.httpMethod === 'OPTIONS') {
-    console.log('   Handling OPTIONS preflight request');
+    logger.log('   Handling OPTIONS preflight request');
     return { statusCode: 200, headers, body: '' };
   }
 
@@ -138,9 +37,22 @@ exports.handler = async (event, context) => {
   try {
     // Parse request body
     const body = JSON.parse(event.body);
-    const { recordId, gathrData, hubspotRegion, accountNumberMap, hub_id } = body;
 
-    console.log('[REQUEST] Update request:', {
+    // MULTI-TENANT: hub_id comes from the verified HubSpot signature - a body hub_id must match it
+    const auth = authenticateRequest(event, headers, body.hub_id);
+    if (auth.errorResponse) {
+      return auth.errorResponse;
+    }
+    const { hub_id } = auth;
+
+    const rateLimit = await applyRateLimit(hub_id, headers);
+    if (rateLimit.errorResponse) {
+      return rateLimit.errorResponse;
+    }
+
+    const { recordId, gathrData, hubspotRegion, accountNumberMap } = body;
+
+    logger.log('[REQUEST] Update request:', {
       recordId,
       statementCount: Array.isArray(gathrData) ? gathrData.length : 1,
       hubspotRegion,
@@ -159,24 +71,11 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // MULTI-TENANT: hub_id is required to retrieve the correct portal's tokens
-    if (!hub_id) {
-      console.error('[ERROR] Missing hub_id in request body');
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: 'hub_id is required in request body for multi-tenant authentication',
-          hint: 'Include the HubSpot portal ID in your request: { "hub_id": "123456" }'
-        })
-      };
-    }
-
-    // Get access token for this specific portal
-    let accessToken = await getAccessToken(hub_id);
+    // Get a HubSpot client for this specific portal
+    const client = await createHubSpotClient(hub_id, hubspotRegion);
 
-    if (!accessToken) {
-      console.error('[ERROR] No access token available');
+    if (!client) {
+      logger.error('[ERROR] No access token available');
       return {
         statusCode: 401,
         headers,
@@ -187,18 +86,15 @@ exports.handler = async (event, context) => {
       };
     }
 
-    console.log('[OK] Access token found');
+    logger.log('[OK] Access token found');
 
     // Get the Gathr Statements object type ID (portal-specific)
-    const { getGathrStatementsObjectTypeId } = require('./create-schema');
-    const region = hubspotRegion || 'https://api-eu1.hubapi.com';
-
     let GATHR_STATEMENT_OBJECT_TYPE_ID;
     try {
-      GATHR_STATEMENT_OBJECT_TYPE_ID = await getGathrStatementsObjectTypeId(hub_id, region);
+      GATHR_STATEMENT_OBJECT_TYPE_ID = await getGathrStatementsObjectTypeId(client);
 
       if (!GATHR_STATEMENT_OBJECT_TYPE_ID) {
-        console.error('[ERROR] Gathr Statements custom object not found');
+        logger.error('[ERROR] Gathr Statements custom object not found');
         return {
           statusCode: 404,
           headers,
@@ -210,9 +106,9 @@ exports.handler = async (event, context) => {
         };
       }
 
-      console.log('[OK] Found Gathr Statements object type ID:', GATHR_STATEMENT_OBJECT_TYPE_ID);
+      logger.log('[OK] Found Gathr Statements object type ID:', GATHR_STATEMENT_OBJECT_TYPE_ID);
     } catch (lookupError) {
-      console.error('[ERROR] Failed to lookup object type ID:', lookupError.message);
+      logger.error('[ERROR] Failed to lookup object type ID:', lookupError.message);
       return {
         statusCode: 500,
         headers,
@@ -229,7 +125,7 @@ exports.handler = async (event, context) => {
     // Process statements (handle both single statement and array)
     const statements = Array.isArray(gathrData) ? gathrData : [gathrData];
 
-    console.log('[PROCESS] Processing statement data:', {
+    logger.log('[PROCESS] Processing statement data:', {
       recordId,
       statementCount: statements.length,
       statements: statements.map(s => ({
@@ -271,7 +167,7 @@ exports.handler = async (event, context) => {
     const uniqueBankAccountIds = Array.from(new Set(bankAccountIds));
     const uniqueAccountNumbers = Array.from(new Set(accountNumbers));
 
-    console.log('[PROCESS] ID deduplication:', {
+    logger.log('[PROCESS] ID deduplication:', {
       customerIds: {
         original: customerIds.length,
         unique: uniqueCustomerIds.length,
@@ -314,7 +210,7 @@ exports.handler = async (event, context) => {
 
     // Check if there are properties to update
     if (Object.keys(properties).length === 0) {
-      console.log('[PROCESS] No Gathr fields to update');
+      logger.log('[PROCESS] No Gathr fields to update');
       return {
         statusCode: 200,
         headers,
@@ -326,11 +222,11 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Construct HubSpot API URL with the dynamically looked up object type ID
-    const hubspotUrl = `${region}/crm/v3/objects/${GATHR_STATEMENT_OBJECT_TYPE_ID}/${recordId}`;
+    // Construct HubSpot API path with the dynamically looked up object type ID
+    const hubspotPath = `/crm/v3/objects/${GATHR_STATEMENT_OBJECT_TYPE_ID}/${recordId}`;
 
-    console.log('[HUBSPOT] Sending update request:', {
-      url: hubspotUrl,
+    logger.log('[HUBSPOT] Sending update request:', {
+      url: `${client.region}${hubspotPath}`,
       method: "PATCH",
       objectTypeId: GATHR_STATEMENT_OBJECT_TYPE_ID,
       recordId,
@@ -345,66 +241,32 @@ exports.handler = async (event, context) => {
     });
 
     // Make the request to HubSpot
-    let response = await fetch(hubspotUrl, {
+    const response = await client.request(hubspotPath, {
       method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ properties })
+      body: { properties }
     });
+    const responseBody = response.body;
 
-    console.log('[HUBSPOT] Response received:', {
+    logger.log('[HUBSPOT] Response received:', {
       status: response.status,
       statusText: response.statusText,
       ok: response.ok
     });
 
-    // If 401, try to refresh token and retry once
-    if (response.status === 401) {
-      console.log('[REFRESH] Received 401, attempting to refresh token for portal:', hub_id);
-      try {
-        const tokens = await getTokens(hub_id);
-        if (tokens && tokens.refreshToken) {
-          const newTokens = await refreshAccessToken(hub_id, tokens.refreshToken);
-          accessToken = newTokens.accessToken;
-
-          // Retry request with new token
-          response = await fetch(hubspotUrl, {
-            method: 'PATCH',
-            headers: {
-              'Authorization': `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ properties })
-          });
-
-          console.log('[HUBSPOT] Retry response after refresh:', response.status);
-        }
-      } catch (refreshError) {
-        console.error('[ERROR] Token refresh failed:', refreshError.message);
-      }
-    }
-
-    // Get response body
-    const contentType = response.headers.get('content-type');
-    let responseBody;
-
-    if (contentType && contentType.includes('application/json')) {
-      responseBody = await response.json();
-    } else {
-      responseBody = await response.text();
-    }
-
     // Handle error responses
     if (!response.ok) {
-      console.error('[ERROR] Failed to update statement record:', {
+      // The cached objectTypeId may be stale (object deleted or recreated) - look it up again next time
+      if (response.status === 404) {
+        await invalidateGathrStatementsObjectTypeId(client);
+      }
+
+      logger.error('[ERROR] Failed to update statement record:', {
         status: response.status,
         statusText: response.statusText,
         responseBody,
         requestProperties: properties,
         note: response.status === 431 ?
-          "Status 431 often indicates property doesn't exist in HubSpot. Please verify the custom properties (customer_id, bank_account_id, account_number, gathr_statement_id) are created in your HubSpot account." :
+          "Status 431 often indicates property doesn't exist in HubSpot. Call /schema-diff to list missing properties, or /provision-schema to add them." :
           null
       });
 
@@ -415,13 +277,14 @@ exports.handler = async (event, context) => {
           error: 'Failed to update statement record',
           status: response.status,
           message: responseBody.message || response.statusText,
-          details: responseBody
+          details: responseBody,
+          retries: response.retries
         })
       };
     }
 
     // Success!
-    console.log('[OK] Statement record updated successfully:', {
+    logger.log('[OK] Statement record updated successfully:', {
       recordId,
       statementCount: statements.length,
       updatedProperties: properties,
@@ -441,13 +304,14 @@ exports.handler = async (event, context) => {
         recordId,
         statementCount: statements.length,
         updatedProperties: properties,
-        response: responseBody
+        response: responseBody,
+        retries: response.retries
       })
     };
 
   } catch (error) {
-    console.error('[ERROR] Error updating statement record:', error);
-    console.error('   Error stack:', error.stack);
+    logger.error('[ERROR] Error updating statement record:', error);
+    logger.error('   Error stack:', error.stack);
     
     return {
       statusCode: 500,
@@ -458,4 +322,4 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+});
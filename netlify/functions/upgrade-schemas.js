@@ -0,0 +1,106 @@
+// Upgrade Gathr Statements Schemas (admin)
+// Upgrades every connected portal's Gathr Statements object to the latest schema version
+// and reports the result per portal. Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+
+const { createHubSpotClient } = require('./hubspot-client');
+const { authenticateAdminRequest } = require('./hubspot-signature');
+const { listConnectedPortals, getSchemaVersion } = require('./token-store');
+const { LATEST_SCHEMA_VERSION, migrateGathrStatementsSchema } = require('./create-schema');
+const logger = require('./logger');
+
+/**
+ * Upgrades one portal, never throwing - failures are reported in the result
+ * @param {string} hub_id - Portal ID
+ * @returns {Promise<Object>} { hub_id, status, fromVersion, toVersion, ... }
+ */
+const upgradePortal = async (hub_id) => {
+  let fromVersion;
+
+  try {
+    const record = await getSchemaVersion(hub_id);
+    fromVersion = record ? record.version : 0;
+
+    if (fromVersion >= LATEST_SCHEMA_VERSION) {
+      return { hub_id, status: 'up-to-date', fromVersion, toVersion: fromVersion };
+    }
+
+    const client = await createHubSpotClient(hub_id);
+    if (!client) {
+      return { hub_id, status: 'no-token', fromVersion, toVersion: fromVersion };
+    }
+
+    const report = await migrateGathrStatementsSchema(client, fromVersion);
+
+    return {
+      hub_id,
+      status: report.toVersion === LATEST_SCHEMA_VERSION ? 'upgraded' : 'failed',
+      ...report
+    };
+  } catch (error) {
+    logger.error('[ERROR] Failed to upgrade portal', hub_id, error);
+    return { hub_id, status: 'failed', fromVersion, toVersion: fromVersion, error: error.message };
+  }
+};
+
+exports.handler = logger.withRequestLogging('upgrade-schemas', async (event, context) => {
+  logger.log('[UPGRADE] Upgrade Schemas Function Invoked');
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  // Only accept POST requests
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed. Use POST.' })
+    };
+  }
+
+  const auth = authenticateAdminRequest(event, headers);
+  if (auth.errorResponse) {
+    return auth.errorResponse;
+  }
+
+  try {
+    const body = event.body ? JSON.parse(event.body) : {};
+
+    // Optionally limit the run to some portals (keeps each invocation within the function timeout)
+    const connected = await listConnectedPortals();
+    const hubIds = Array.isArray(body.hub_ids)
+      ? connected.filter(hub_id => body.hub_ids.map(String).includes(hub_id))
+      : connected;
+
+    logger.log('[UPGRADE] Upgrading', hubIds.length, 'portal(s) to schema version', LATEST_SCHEMA_VERSION);
+
+    const portals = [];
+    for (const hub_id of hubIds) {
+      const result = await upgradePortal(hub_id);
+      logger.log('[UPGRADE] Portal', hub_id, '->', result.status);
+      portals.push(result);
+    }
+
+    const summary = portals.reduce((counts, p) => ({ ...counts, [p.status]: (counts[p.status] || 0) + 1 }), {});
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        latestVersion: LATEST_SCHEMA_VERSION,
+        summary,
+        portals
+      })
+    };
+  } catch (error) {
+    logger.error('[ERROR] Error in Upgrade Schemas Function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message
+      })
+    };
+  }
+});